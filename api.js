@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+
+  /**
+   * Exports the metric history of a NAS, identified by its Cloud ID or by
+   * host and port. Supports ?format=csv|json and ?resolution=minute|hour.
+   */
+  async getHistory({ homey, params, query }) {
+    const format = query.format === 'csv' ? 'csv' : 'json';
+    const resolution = query.resolution === 'hour' ? 'hour' : 'minute';
+    return homey.drivers.getDriver('nas').exportHistory(params.nas, { format, resolution });
+  },
+
+};
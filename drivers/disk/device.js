@@ -0,0 +1,51 @@
+'use strict';
+
+const Homey = require('homey');
+
+module.exports = class DiskDevice extends Homey.Device {
+
+  async onInit() {
+    this.log('Disk has been initialized');
+    this.smartWarningTrigger = this.homey.flow.getDeviceTriggerCard('disk_smart_warning');
+    this.temperatureTrigger = this.homey.flow.getDeviceTriggerCard('disk_temperature_above');
+  }
+
+  async updateDisk(disk) {
+    if (!disk) {
+      await this.setUnavailable('Disk not found on the NAS');
+      return;
+    }
+    if (!this.getAvailable()) {
+      await this.setAvailable();
+    }
+
+    if (typeof disk.temperature === 'number') {
+      const previous = this.getCapabilityValue('measure_temperature');
+      await this.setCapabilityValue('measure_temperature', disk.temperature);
+      if (previous !== null && previous !== disk.temperature) {
+        await this.temperatureTrigger.trigger(this, { temperature: disk.temperature }, { previous, temperature: disk.temperature });
+      }
+    }
+
+    const badSectors = disk.bad_sectors || 0;
+    await this.setCapabilityValue('bad_sectors', badSectors);
+
+    const status = disk.smart_status || 'Unknown';
+    const previousStatus = this.getCapabilityValue('smart_status');
+    await this.setCapabilityValue('smart_status', status);
+
+    if (this.isWarning(status) && previousStatus !== null && !this.isWarning(previousStatus)) {
+      this.log(`Disk S.M.A.R.T. warning: ${status}`);
+      await this.smartWarningTrigger.trigger(this, { status, bad_sectors: badSectors });
+    }
+  }
+
+  isWarning(status) {
+    const normalized = String(status).toLowerCase();
+    return normalized !== 'good' && normalized !== 'normal' && normalized !== 'unknown';
+  }
+
+  async onDeleted() {
+    this.log('Disk has been deleted');
+  }
+};
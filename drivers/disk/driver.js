@@ -0,0 +1,53 @@
+'use strict';
+
+const Homey = require('homey');
+const { temperatureRoseAbove } = require('../../lib/temperatureTrigger');
+
+module.exports = class DiskDriver extends Homey.Driver {
+
+  async onInit() {
+    this.log('Disk driver init');
+
+    const temperatureTrigger = this.homey.flow.getDeviceTriggerCard('disk_temperature_above');
+    temperatureTrigger.registerRunListener(async (args, state) => temperatureRoseAbove(args, state));
+  }
+
+  async onPairListDevices() {
+    const nasDriver = this.homey.drivers.getDriver('nas');
+    const devices = [];
+
+    for (const nas of nasDriver.getDevices()) {
+      const disks = await nasDriver.listDisks(nas);
+      disks.forEach(disk => {
+        devices.push({
+          name: `${nas.getName()} ${disk.model ? `${disk.name} (${disk.model})` : disk.name}`,
+          data: {
+            nas: nasDriver.getNasId(nas),
+            disk: disk.name
+          }
+        });
+      });
+    }
+
+    return devices;
+  }
+
+  hasDevicesFor(nas) {
+    const nasId = this.homey.drivers.getDriver('nas').getNasId(nas);
+    return this.getDevices().some(device => device.getData().nas === nasId);
+  }
+
+  async updateDisks(nas, disks) {
+    const nasId = this.homey.drivers.getDriver('nas').getNasId(nas);
+    const devices = this.getDevices().filter(device => device.getData().nas === nasId);
+
+    for (const device of devices) {
+      const disk = disks.find(d => d.name === device.getData().disk);
+      try {
+        await device.updateDisk(disk);
+      } catch (err) {
+        this.error(`Failed updating disk ${device.getData().disk}:`, err);
+      }
+    }
+  }
+};
@@ -1,11 +1,34 @@
 'use strict';
 
 const Homey = require('homey');
+const ThresholdMonitor = require('../../lib/ThresholdMonitor');
+const { AdmClient } = require('../../lib/AdmClient');
+const AppInventory = require('../../lib/AppInventory');
+const NetworkMonitor = require('../../lib/NetworkMonitor');
+const BackupJobs = require('../../lib/BackupJobs');
+const CertificatePins = require('../../lib/CertificatePins');
+const MetricHistory = require('../../lib/MetricHistory');
 
 module.exports = class NASDevice extends Homey.Device {
 
   async onInit() {
     this.log('NAS has been initialized');
+    this.thresholdMonitor = new ThresholdMonitor();
+    this.networkMonitor = new NetworkMonitor();
+    this.history = new MetricHistory(await this.getStoreValue('history') || {});
+    await this.setCertificatePins(await this.getStoreValue('certificate_pins') || {});
+    this.api = new AdmClient(this, {
+      getBaseUrl: () => this.driver.getWorkingUrl(this),
+      getPassword: () => this.driver.getPassword(this),
+      getHttpsAgent: url => this.certificatePins.getAgent(url),
+      onLoginFailed: err => this.driver.handleLoginError(this, err)
+    });
+    this.appInventory = new AppInventory(this.api, {
+      onStateChange: (app, enabled) => this.driver.onAppStateChanged(this, app, enabled)
+    });
+    this.backupJobs = new BackupJobs(this.api, {
+      onFinished: job => this.driver.onBackupJobFinished(this, job)
+    });
 
     if (!this.hasCapability('button.reboot')) {
       await this.addCapability('button.reboot');
@@ -36,87 +59,32 @@ module.exports = class NASDevice extends Homey.Device {
       });
     }
     
-    // Only register flow cards if not already registered
-    if (!this.flowCardsRegistered) {  
-      const lanCondition = this.homey.flow.getConditionCard("lan_port_connected");
-      lanCondition.registerRunListener(async (args, state) => {
-        const result = await this.driver.checkLANPort(this, args.port.id);
-        return result;
-      });
-      
-      lanCondition.registerArgumentAutocompleteListener(
-        "port",
-        async (query, args) => {
-          return await this.driver.autocompleteNas(this, query);
-        }
-      );
-
-      this.registerCapabilityListener('button.reboot', async () => {
-        // Maintenance action button was pressed, return a promise
-        try {
-          await this.driver.reboot(this);
-          return true;
-        } catch (err) {
-          this.error('Error rebooting NAS:', err);
-          throw new Error('Failed to reboot NAS');
-        }
-      });
-
-      this.registerCapabilityListener('button.shutdown', async () => {
-        // Maintenance action button was pressed, return a promise
-        try {
-          await this.driver.shutdown(this);
-          return true;
-        } catch (err) {
-          this.error('Error shutting down NAS:', err);
-          throw new Error('Failed to shut down NAS');
-        }
-      });
-
-      const enableAppAction = this.homey.flow.getActionCard("enable_app");
-      const disableAppAction = this.homey.flow.getActionCard("disable_app");
-      const appEnabledCondition = this.homey.flow.getConditionCard("app_enabled");
-
-      enableAppAction.registerArgumentAutocompleteListener(
-        "app",
-        async (query, args) => {
-          return await this.driver.autocompleteApp(this, query);
-        }
-      );
-
-      disableAppAction.registerArgumentAutocompleteListener(
-        "app",
-        async (query, args) => {
-          return await this.driver.autocompleteApp(this, query);
-        }
-      );
-
-      appEnabledCondition.registerArgumentAutocompleteListener(
-        "app",
-        async (query, args) => {
-          return await this.driver.autocompleteApp(this, query);
-        }
-      );
-
-      disableAppAction.registerRunListener(async (args, state) => {
-        const result = await this.driver.disableApp(this, args);
-        return result;
-      });
-
-      enableAppAction.registerRunListener(async (args, state) => {
-        const result = await this.driver.enableApp(this, args);
-        return result;
-      });
+    this.registerCapabilityListener('button.reboot', async () => {
+      // Maintenance action button was pressed, return a promise
+      try {
+        await this.driver.reboot(this);
+        return true;
+      } catch (err) {
+        this.error('Error rebooting NAS:', err);
+        throw new Error('Failed to reboot NAS');
+      }
+    });
 
-      appEnabledCondition.registerRunListener(async (args, state) => {
-        const result = await this.driver.checkApp(this, args);
-        return result;
-      });
-      
-      this.flowCardsRegistered = true;
-    }
+    this.registerCapabilityListener('button.shutdown', async () => {
+      // Maintenance action button was pressed, return a promise
+      try {
+        await this.driver.shutdown(this);
+        return true;
+      } catch (err) {
+        this.error('Error shutting down NAS:', err);
+        throw new Error('Failed to shut down NAS');
+      }
+    });
     
     // Initialize capabilities if they don't exist
+    if (!this.hasCapability('onoff')) {
+      await this.addCapability('onoff');
+    }
     if (!this.hasCapability('cpu_usage')) {
       await this.addCapability('cpu_usage');
     }
@@ -126,25 +94,97 @@ module.exports = class NASDevice extends Homey.Device {
     if (!this.hasCapability('storage_used')) {
       await this.addCapability('storage_used');
     }
+    if (!this.hasCapability('network_rx')) {
+      await this.addCapability('network_rx');
+    }
+    if (!this.hasCapability('network_tx')) {
+      await this.addCapability('network_tx');
+    }
+    if (!this.hasCapability('measure_temperature')) {
+      await this.addCapability('measure_temperature');
+    }
+    if (!this.hasCapability('active_sessions')) {
+      await this.addCapability('active_sessions');
+    }
+    if (!this.hasCapability('storage_full_days')) {
+      await this.addCapability('storage_full_days');
+    }
+    if (!this.hasCapability('connection_type')) {
+      await this.addCapability('connection_type');
+    }
+    if (!this.hasCapability('connection_latency')) {
+      await this.addCapability('connection_latency');
+    }
+    if (!this.hasCapability('adm_version')) {
+      await this.addCapability('adm_version');
+    }
+    if (!this.hasCapability('adm_available_version')) {
+      await this.addCapability('adm_available_version');
+    }
+    if (!this.hasCapability('adm_update_status')) {
+      await this.addCapability('adm_update_status');
+    }
+
+    this.registerCapabilityListener('onoff', async (value) => {
+      try {
+        if (value) {
+          await this.driver.powerOn(this);
+        } else {
+          await this.driver.shutdown(this);
+        }
+      } catch (err) {
+        this.error('Error switching NAS power:', err);
+        throw new Error(value ? err.message : 'Failed to shut down NAS');
+      }
+    });
+    
+    if (!this.getSetting('username')) {
+      await this.setSettings({ username: await this.getStoreValue('username') || '' });
+    }
+
+    await this.driver.migratePassword(this);
+    const storesPassword = Boolean(await this.getStoreValue('password_encrypted'));
+    if (this.getSetting('store_password') !== storesPassword) {
+      await this.setSettings({ store_password: storesPassword });
+    }
     
     // Start polling intervals
     this.startPolling();
   }
 
+  async setCertificatePins(pins) {
+    this.certificatePins = new CertificatePins(pins, updated => this.setStoreValue('certificate_pins', updated));
+    await this.setStoreValue('certificate_pins', pins);
+  }
+
   startPolling() {
-    // Poll system stats every 10 seconds
-    this.statsInterval = this.homey.setInterval(async () => {
+    this.pollFailures = 0;
+    this.scheduleNextPoll(0);
+  }
+
+  stopPolling() {
+    if (this.statsTimeout) {
+      this.homey.clearTimeout(this.statsTimeout);
+      this.statsTimeout = null;
+    }
+  }
+
+  scheduleNextPoll(delay) {
+    this.stopPolling();
+    const timeout = this.homey.setTimeout(async () => {
       try {
         await this.driver.updateSystemStats(this);
       } catch (err) {
         this.error('Error polling system stats:', err);
       }
-    }, 10000);
-    
-    // Initial checks
-    this.driver.updateSystemStats(this).catch(err => {
-      this.error('Initial system stats update failed:', err);
-    });
+      // Polling was stopped or restarted while this update ran
+      if (this.statsTimeout !== timeout) {
+        return;
+      }
+      // The delay depends on the connection and reachability of the NAS
+      this.scheduleNextPoll(this.driver.getPollDelay(this));
+    }, delay);
+    this.statsTimeout = timeout;
   }
 
   async onAdded() {
@@ -153,18 +193,28 @@ module.exports = class NASDevice extends Homey.Device {
 
   async onSettings({ oldSettings, newSettings, changedKeys }) {
     this.log('NAS settings were changed');
+    await this.driver.applySettings(this, { newSettings, changedKeys });
+
+    if (changedKeys.includes('poll_interval')) {
+      this.homey.setTimeout(() => this.startPolling(), 0);
+    }
   }
 
   async onRenamed(name) {
     this.log('NAS was renamed');
   }
 
+  async onUninit() {
+    this.stopPolling();
+    // Keeps the history collected since it was last saved
+    await this.driver.saveHistory(this, true);
+  }
+
   async onDeleted() {
     this.log('NAS has been deleted');
     
-    // Clear all intervals
-    if (this.statsInterval) {
-      this.homey.clearInterval(this.statsInterval);
-    }
+    // Clear all timers
+    this.stopPolling();
+    this.driver.stopFirmwareProgress(this);
   }
 };
\ No newline at end of file
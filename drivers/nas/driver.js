@@ -1,18 +1,75 @@
 'use strict';
 
+const https = require('https');
+const net = require('net');
 const Homey = require('homey');
 const axios = require('axios');
-const FormData = require('form-data');
+const { AdmClient, AdmError, OTP_REQUIRED, OTP_INVALID } = require('../../lib/AdmClient');
+const { sendMagicPacket } = require('../../lib/wakeOnLan');
+const CredentialStore = require('../../lib/CredentialStore');
+const CertificatePins = require('../../lib/CertificatePins');
+const BackupJobs = require('../../lib/BackupJobs');
+const { temperatureRoseAbove } = require('../../lib/temperatureTrigger');
+
+// How long after a Wake-on-LAN packet the NAS may stay unreachable while booting
+const WAKE_GRACE_PERIOD = 5 * 60 * 1000;
+
+const FIRMWARE_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+const FIRMWARE_PROGRESS_INTERVAL = 5000;
+const FIRMWARE_PROGRESS_TIMEOUT = 60 * 60 * 1000;
+
+const APP_UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+const SNAPSHOT_CHECK_INTERVAL = 15 * 60 * 1000;
+// How long to wait before asking again after the NAS reported no UPS
+const UPS_ABSENT_CHECK_INTERVAL = 60 * 60 * 1000;
+// Sessions, the connection log and the Defender list change rarely; don't fetch them on every poll
+const SESSIONS_CHECK_INTERVAL = 60 * 1000;
+const SECURITY_CHECK_INTERVAL = 60 * 1000;
+const CONNECTION_LOG_PAGE_SIZE = 50;
+// Stops reading further back after a burst of connections, e.g. during a brute force attack
+const CONNECTION_LOG_MAX_PAGES = 10;
+const HISTORY_SAVE_INTERVAL = 15 * 60 * 1000;
+const PASSWORD_CLEAR_ATTEMPTS = 5;
+// Don't project a full date further ahead than this
+const MAX_STORAGE_PROJECTION_DAYS = 5 * 365;
+
+// Network services that can be turned on and off from flows
+const NETWORK_SERVICES = {
+  smb: 'SMB (Windows file sharing)',
+  afp: 'AFP (Mac file sharing)',
+  nfs: 'NFS',
+  ftp: 'FTP',
+  ssh: 'SSH',
+  webdav: 'WebDAV',
+  rsync: 'Rsync server'
+};
+
+const DEFAULT_POLL_INTERVAL = 10;
+const MAX_POLL_BACKOFF = 10 * 60 * 1000;
+// Poll less often over connections that go through the internet or the ASUSTOR relay
+const POLL_INTERVAL_FACTORS = {
+  LAN: 1,
+  DDNS: 3,
+  WAN: 3,
+  Relay: 6
+};
+// Skip the reachability probe when an API call succeeded this recently
+const PROBE_SKIP_WINDOW = 60 * 1000;
+// Look for an HTTPS address less often every time a NAS on plain HTTP doesn't offer one
+const HTTPS_UPGRADE_INTERVAL = 10 * 60 * 1000;
+const MAX_HTTPS_UPGRADE_INTERVAL = 24 * 60 * 60 * 1000;
+// Connection types each value of the allowed_connections setting permits
+const ALLOWED_CONNECTION_TYPES = {
+  all: ['LAN', 'DDNS', 'WAN', 'Relay'],
+  no_relay: ['LAN', 'DDNS', 'WAN'],
+  lan: ['LAN']
+};
 
 module.exports = class NASDriver extends Homey.Driver {
 
   async checkLANPort(device, lanInterface) {
     try {
-      const sid = await device.getStoreValue('sid');
-      const nasurl = await this.getWorkingUrl(device);
-      const url = `${nasurl}portal/apis/information/sysinfo.cgi?sid=${sid}&act=net`;
-      const res = await axios.get(url, { timeout: 7000 });
-      const data = res.data;
+      const data = await device.api.get('information/sysinfo.cgi', { act: 'net' });
       const result = data.netif.find(iface => iface.name.toLowerCase().includes(lanInterface.toLowerCase()))
       return result?.status === true;
     } catch (err) {
@@ -21,24 +78,192 @@ module.exports = class NASDriver extends Homey.Driver {
     }
   }
 
-  async autocompleteApp(device, query) {
+  async updateNetworkStats(device) {
+    const data = await device.api.get('information/sysinfo.cgi', { act: 'net' });
+    if (!data || !Array.isArray(data.netif)) {
+      this.error("Network data not available or invalid format");
+      return;
+    }
+
+    const interfaces = device.networkMonitor.update(data.netif, Date.now());
+    let totalRx = null;
+    let totalTx = null;
+
+    for (const iface of interfaces) {
+      if (iface.rx !== null) {
+        totalRx = (totalRx || 0) + iface.rx;
+      }
+      if (iface.tx !== null) {
+        totalTx = (totalTx || 0) + iface.tx;
+      }
+
+      // Interfaces without a cable are left out until they're connected once
+      const id = this.getInterfaceCapabilityId(iface.name);
+      if (!iface.connected && !device.hasCapability(`link_speed.${id}`)) {
+        continue;
+      }
+      await this.ensureInterfaceCapabilities(device, iface.name);
+      await device.setCapabilityValue(`link_speed.${id}`, iface.connected ? iface.speed : 0).catch(this.error);
+      await device.setCapabilityValue(`ip_address.${id}`, iface.ip || '-').catch(this.error);
+      if (iface.rx !== null) {
+        await device.setCapabilityValue(`network_rx.${id}`, iface.rx).catch(this.error);
+      }
+      if (iface.tx !== null) {
+        await device.setCapabilityValue(`network_tx.${id}`, iface.tx).catch(this.error);
+      }
+
+      if (iface.connected && iface.speed > 0 && iface.previousSpeed > iface.speed) {
+        this.log(`Link speed of ${iface.name} dropped from ${iface.previousSpeed} to ${iface.speed} Mbit/s`);
+        await this.homey.flow.getDeviceTriggerCard('link_speed_dropped')
+          .trigger(device, { interface: iface.name, speed: iface.speed, previous_speed: iface.previousSpeed })
+          .catch(this.error);
+      }
+    }
+
+    if (totalRx !== null) {
+      await device.setCapabilityValue('network_rx', Math.round(totalRx * 100) / 100).catch(this.error);
+    }
+    if (totalTx !== null) {
+      await device.setCapabilityValue('network_tx', Math.round(totalTx * 100) / 100).catch(this.error);
+    }
+  }
+
+  async updateHardwareStats(device) {
+    const data = await device.api.get('information/sysinfo.cgi', { act: 'hardware' });
+    if (!data || !data.success) {
+      this.error("Hardware data not available or invalid format");
+      return;
+    }
+
+    if (typeof data.sys_temp === 'number') {
+      const previous = device.getCapabilityValue('measure_temperature');
+      await device.setCapabilityValue('measure_temperature', data.sys_temp).catch(this.error);
+      if (previous !== null && previous !== data.sys_temp) {
+        await this.homey.flow.getDeviceTriggerCard('system_temperature_above')
+          .trigger(device, { temperature: data.sys_temp }, { previous, temperature: data.sys_temp })
+          .catch(this.error);
+      }
+    }
+    if (typeof data.cpu_temp === 'number') {
+      await this.ensureCapability(device, 'measure_temperature.cpu', { title: { en: 'CPU temperature', nl: 'CPU-temperatuur' } });
+      await device.setCapabilityValue('measure_temperature.cpu', data.cpu_temp).catch(this.error);
+    }
+
+    const fans = Array.isArray(data.fans) ? data.fans : [];
+    for (const [index, fan] of fans.entries()) {
+      const capability = `fan_speed.fan${index + 1}`;
+      await this.ensureCapability(device, capability, { title: { en: `Fan ${index + 1}`, nl: `Ventilator ${index + 1}` } });
+      await device.setCapabilityValue(capability, Number(fan.rpm) || 0).catch(this.error);
+    }
+  }
+
+  async updateUpsStatus(device) {
+    const absentCheck = await device.getStoreValue('ups_absent_check') || 0;
+    if (Date.now() - absentCheck < UPS_ABSENT_CHECK_INTERVAL) {
+      return;
+    }
+
+    const data = await device.api.get('services/ups.cgi', { act: 'status' });
+    // Only NASes with a UPS attached over USB or the network report one
+    if (!data || !data.success || !data.ups || !data.ups.connected) {
+      await device.setStoreValue('ups_absent_check', Date.now());
+      return;
+    }
+    if (absentCheck) {
+      await device.setStoreValue('ups_absent_check', 0);
+    }
+
+    const onBattery = data.ups.status === 'OB';
+    const battery = Number(data.ups.battery) || 0;
+    const runtime = Math.round((Number(data.ups.runtime) || 0) / 60);
+
+    await this.ensureCapability(device, 'ups_on_battery');
+    await this.ensureCapability(device, 'ups_battery');
+    await this.ensureCapability(device, 'ups_runtime');
+
+    const wasOnBattery = device.getCapabilityValue('ups_on_battery');
+    await device.setCapabilityValue('ups_on_battery', onBattery).catch(this.error);
+    await device.setCapabilityValue('ups_battery', battery).catch(this.error);
+    await device.setCapabilityValue('ups_runtime', runtime).catch(this.error);
+
+    if (wasOnBattery === null || wasOnBattery === onBattery) {
+      return;
+    }
+    if (onBattery) {
+      this.log(`NAS is running on UPS battery (${battery}%, ${runtime} minutes left)`);
+      await this.homey.flow.getDeviceTriggerCard('ups_on_battery')
+        .trigger(device, { battery, runtime })
+        .catch(this.error);
+    } else {
+      this.log('NAS is back on mains power');
+      await this.homey.flow.getDeviceTriggerCard('ups_on_mains').trigger(device).catch(this.error);
+    }
+  }
+
+  async ensureCapability(device, capability, options) {
+    if (device.hasCapability(capability)) {
+      return;
+    }
+    await device.addCapability(capability);
+    if (options) {
+      await device.setCapabilityOptions(capability, options);
+    }
+  }
+
+  getInterfaceCapabilityId(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '_');
+  }
+
+  async ensureInterfaceCapabilities(device, name) {
+    const id = this.getInterfaceCapabilityId(name);
+    const capabilities = {
+      link_speed: { en: `Link speed ${name}`, nl: `Verbindingssnelheid ${name}` },
+      ip_address: { en: `IP address ${name}`, nl: `IP-adres ${name}` },
+      network_rx: { en: `Received ${name}`, nl: `Ontvangen ${name}` },
+      network_tx: { en: `Sent ${name}`, nl: `Verzonden ${name}` }
+    };
+    for (const [capability, title] of Object.entries(capabilities)) {
+      await this.ensureCapability(device, `${capability}.${id}`, { title });
+    }
+  }
+
+  async checkInterfaceThroughput(device, args) {
+    const iface = device.networkMonitor.get(args.interface.id);
+    if (!iface || iface.rx === null || iface.tx === null) {
+      throw new Error('No throughput measured for this interface yet');
+    }
+    const throughput = {
+      rx: iface.rx,
+      tx: iface.tx,
+      total: iface.rx + iface.tx
+    }[args.direction];
+    return throughput > args.threshold;
+  }
+
+  async listInstalledApps(device, force = false) {
+    return device.appInventory.getApps({ force });
+  }
+
+  async onAppStateChanged(device, app, enabled) {
+    this.log(`App ${app.name} was ${enabled ? 'enabled' : 'disabled'}`);
+    await this.homey.flow.getDeviceTriggerCard(enabled ? 'app_was_enabled' : 'app_was_disabled')
+      .trigger(device, { app: app.name })
+      .catch(this.error);
+  }
+
+  getAppUpdateVersion(app) {
+    if (app.new_version && app.new_version !== app.version) {
+      return app.new_version;
+    }
+    return null;
+  }
+
+  async autocompleteApp(device, query, includeLocked = false) {
     try {
-      const sid = await device.getStoreValue('sid');
-      const nasurl = await this.getWorkingUrl(device);
-      const formData = new FormData();
-      formData.append('includeBeta', 1);
-      formData.append('page', 1);
-      formData.append('limit', 50);
-      formData.append('start', 0);
-      formData.append('category', -1);
-      formData.append('keyword', '');
-      formData.append('sort', 'name');
-      const url = `${nasurl}portal/apis/appCentral/appcentral.cgi?sid=${sid}&act=list-installed`;
-      const res = await axios.post(url, formData, { timeout: 7000 });
-      const data = res.data;
-      const results = data.items
+      const apps = await this.listInstalledApps(device);
+      const results = apps
         .filter(app => app.name.toLowerCase().includes(query.toLowerCase()))
-        .filter(app => app.lock_enable === false)
+        .filter(app => includeLocked || app.lock_enable === false)
         .map(app => ({
           name: app.name,
           description: app.enabled === true ? "Enabled" : "Disabled",
@@ -53,29 +278,343 @@ module.exports = class NASDriver extends Homey.Driver {
 
   async enableApp(device, args) {
     try {
-      const sid = await device.getStoreValue('sid');
-      const nasurl = await this.getWorkingUrl(device);
-      const formData = new FormData();
-      formData.append('name', args.app.id);
-      const url = `${nasurl}portal/apis/appCentral/appcentral.cgi?sid=${sid}&act=enable`;
-      const res = await axios.post(url, formData, { timeout: 7000 });
-      if (res?.data?.error_code === 6010) {
-        throw new Error("This app is in use by another app");
-      }
+      await device.api.post('appCentral/appcentral.cgi', { act: 'enable' }, { name: args.app.id });
+      device.appInventory.invalidate();
       return true;
     } catch (err) {
       this.error("Failed enabling app: ", err);
-      throw new Error("Failed to disable app");
+      throw new Error(err.message);
+    }
+  }
+
+  async getHomeyAddress() {
+    if (!this.homeyAddress) {
+      const address = await this.homey.cloud.getLocalAddress();
+      this.homeyAddress = address.split(':')[0];
+    }
+    return this.homeyAddress;
+  }
+
+  /**
+   * Projects when storage is full from the growth over the hourly history.
+   * Empty while storage isn't growing or there's less than a day of history.
+   */
+  async updateStorageProjection(device) {
+    const trend = device.history.getHourlyTrend('storage_used');
+    const current = device.getCapabilityValue('storage_used');
+    let days = null;
+    if (trend > 0 && current !== null) {
+      days = Math.round((100 - current) / (trend * 24));
+      if (days > MAX_STORAGE_PROJECTION_DAYS) {
+        days = null;
+      }
+    }
+    await device.setCapabilityValue('storage_full_days', days).catch(this.error);
+  }
+
+  async saveHistory(device, force = false) {
+    if (!force && Date.now() - (device.historySavedAt || 0) < HISTORY_SAVE_INTERVAL) {
+      return;
+    }
+    device.historySavedAt = Date.now();
+    await device.setStoreValue('history', device.history.toJSON()).catch(this.error);
+  }
+
+  async exportHistory(nasId, { format, resolution }) {
+    const device = this.getDevices().find(item => this.getNasId(item) === nasId);
+    if (!device) {
+      throw new Error(`No NAS found with ID ${nasId}`);
+    }
+    return format === 'csv'
+      ? device.history.toCSV(resolution)
+      : device.history.toJSONExport(resolution);
+  }
+
+  async checkConnectionLog(device, force = false) {
+    if (!force && Date.now() - (device.connectionLogCheckedAt || 0) < SECURITY_CHECK_INTERVAL) {
+      return;
+    }
+    device.connectionLogCheckedAt = Date.now();
+
+    const lastTime = await device.getStoreValue('last_connection_log_time');
+    const entries = [];
+    // The log is newest first; keep reading until it reaches entries that were already seen
+    for (let page = 0; page < CONNECTION_LOG_MAX_PAGES; page++) {
+      const data = await device.api.get('systemLog/log.cgi', {
+        act: 'list',
+        type: 'connection',
+        start: page * CONNECTION_LOG_PAGE_SIZE,
+        limit: CONNECTION_LOG_PAGE_SIZE
+      });
+      const items = Array.isArray(data.logs) ? data.logs : [];
+      entries.push(...items);
+      const oldestTime = Math.min(...items.map(entry => Number(entry.time) || 0));
+      if (lastTime === null || lastTime === undefined || items.length < CONNECTION_LOG_PAGE_SIZE || oldestTime <= lastTime) {
+        break;
+      }
+    }
+
+    const newestTime = entries.reduce((newest, entry) => Math.max(newest, Number(entry.time) || 0), lastTime || 0);
+    if (newestTime !== lastTime) {
+      await device.setStoreValue('last_connection_log_time', newestTime);
+    }
+
+    // The first check only learns where the log currently ends
+    if (lastTime === null || lastTime === undefined) {
+      return;
+    }
+
+    const homeyAddress = await this.getHomeyAddress();
+    const newEntries = entries
+      .filter(entry => Number(entry.time) > lastTime && entry.ip !== homeyAddress)
+      .sort((a, b) => a.time - b.time);
+
+    for (const entry of newEntries) {
+      const cardId = { login: 'user_logged_in', login_failed: 'login_failed' }[entry.action];
+      if (!cardId) {
+        continue;
+      }
+      this.log(`Connection log: ${entry.action} by ${entry.user} from ${entry.ip} over ${entry.protocol}`);
+      await this.homey.flow.getDeviceTriggerCard(cardId)
+        .trigger(device, { user: entry.user || '', ip: entry.ip || '', protocol: entry.protocol || '' })
+        .catch(this.error);
+    }
+  }
+
+  getDefenderListType(list) {
+    return list === 'allow' ? 'whitelist' : 'blacklist';
+  }
+
+  async addDefenderIp(device, args) {
+    const ip = args.ip.trim();
+    if (!net.isIP(ip)) {
+      throw new Error(`${ip} is not a valid IP address`);
+    }
+    try {
+      await device.api.post('defender/defender.cgi', { act: 'add' }, { type: this.getDefenderListType(args.list), ip });
+      return true;
+    } catch (err) {
+      this.error("Failed adding IP to ADM Defender: ", err);
+      throw new Error(err.message);
+    }
+  }
+
+  async removeDefenderIp(device, args) {
+    const ip = args.ip.trim();
+    if (!net.isIP(ip)) {
+      throw new Error(`${ip} is not a valid IP address`);
+    }
+    try {
+      await device.api.post('defender/defender.cgi', { act: 'remove' }, { type: this.getDefenderListType(args.list), ip });
+      return true;
+    } catch (err) {
+      this.error("Failed removing IP from ADM Defender: ", err);
+      throw new Error(err.message);
+    }
+  }
+
+  /**
+   * Puts Homey on the ADM Defender allow list once pairing or repair passed
+   * its checks, so failed logins later on can't get Homey blocked.
+   */
+  async allowHomeyInDefender({ url: baseUrl, sid, httpsAgent }) {
+    try {
+      const ip = await this.getHomeyAddress();
+      const data = await AdmClient.send(baseUrl, sid, 'defender/defender.cgi', {
+        params: { act: 'add' },
+        form: { type: 'whitelist', ip },
+        httpsAgent
+      });
+      if (!data?.success) {
+        this.error("ADM Defender didn't accept Homey's IP address, error code:", data?.error_code);
+        return;
+      }
+      this.log(`Added ${ip} to the ADM Defender allow list`);
+    } catch (err) {
+      // Pairing continues without it; the account may not be an administrator
+      this.error("Failed adding Homey to the ADM Defender allow list", err);
+    }
+  }
+
+  async checkDefenderBlocks(device, force = false) {
+    if (!force && Date.now() - (device.defenderCheckedAt || 0) < SECURITY_CHECK_INTERVAL) {
+      return;
+    }
+    device.defenderCheckedAt = Date.now();
+
+    const data = await device.api.get('defender/defender.cgi', { act: 'list', type: 'blacklist' });
+    const blocked = (Array.isArray(data.items) ? data.items : []).map(item => item.ip);
+    const known = await device.getStoreValue('defender_blocked');
+    await device.setStoreValue('defender_blocked', blocked);
+
+    // The first check only learns the addresses that were already blocked
+    if (!Array.isArray(known)) {
+      return;
+    }
+
+    for (const ip of blocked.filter(address => !known.includes(address))) {
+      this.log(`ADM Defender blocked ${ip}`);
+      await this.homey.flow.getDeviceTriggerCard('ip_blocked').trigger(device, { ip }).catch(this.error);
+    }
+  }
+
+  async updateActiveSessions(device, force = false) {
+    if (!force && Date.now() - (device.sessionsCheckedAt || 0) < SESSIONS_CHECK_INTERVAL) {
+      return;
+    }
+    device.sessionsCheckedAt = Date.now();
+
+    const data = await device.api.get('activityMonitor/act.cgi', { act: 'online-users' });
+    if (Array.isArray(data.users)) {
+      // Homey's own session isn't someone using the NAS
+      const homeyAddress = await this.getHomeyAddress();
+      const sessions = data.users.filter(user => user.ip !== homeyAddress);
+      await device.setCapabilityValue('active_sessions', sessions.length).catch(this.error);
+    }
+  }
+
+  async listBackupJobs(device, force = false) {
+    return device.backupJobs.getJobs({ force });
+  }
+
+  async onBackupJobFinished(device, job) {
+    const tokens = {
+      job: job.name,
+      duration: Math.round(BackupJobs.getDuration(job) / 60)
+    };
+    if (BackupJobs.isFailed(job)) {
+      this.log(`Backup job ${job.name} failed: ${job.last_error}`);
+      await this.homey.flow.getDeviceTriggerCard('backup_job_failed')
+        .trigger(device, { ...tokens, error: job.last_error || 'Unknown error' })
+        .catch(this.error);
+    } else {
+      this.log(`Backup job ${job.name} finished`);
+      await this.homey.flow.getDeviceTriggerCard('backup_job_finished')
+        .trigger(device, tokens)
+        .catch(this.error);
+    }
+  }
+
+  async autocompleteBackupJob(device, query) {
+    try {
+      const jobs = await this.listBackupJobs(device);
+      return jobs
+        .filter(job => job.name.toLowerCase().includes(query.toLowerCase()))
+        .map(job => ({
+          name: job.name,
+          description: BackupJobs.isRunning(job) ? "Running" : job.type,
+          id: String(job.id)
+        }));
+    } catch (err) {
+      this.error("Failed fetching backup job list for autocomplete", err);
+      return [];
+    }
+  }
+
+  async startBackupJob(device, args) {
+    try {
+      await device.api.post('backup/backup.cgi', { act: 'start' }, { id: args.job.id });
+      device.backupJobs.invalidate();
+      return true;
+    } catch (err) {
+      this.error("Failed starting backup job: ", err);
+      throw new Error(err.message);
+    }
+  }
+
+  async checkBackupJobRunning(device, args) {
+    try {
+      const job = await device.backupJobs.findJob(args.job.id);
+      return job ? BackupJobs.isRunning(job) : false;
+    } catch (err) {
+      this.error("Failed checking backup job: ", err);
+      throw new Error("Failed to check backup job status");
+    }
+  }
+
+  async listServices(device) {
+    const data = await device.api.get('services/services.cgi', { act: 'list' });
+    const services = Array.isArray(data.services) ? data.services : [];
+    return Object.entries(NETWORK_SERVICES).map(([id, name]) => {
+      const service = services.find(item => item.id === id);
+      return { id, name, enabled: service?.enabled === true };
+    });
+  }
+
+  async autocompleteService(device, query) {
+    try {
+      const services = await this.listServices(device);
+      return services
+        .filter(service => service.name.toLowerCase().includes(query.toLowerCase()))
+        .map(service => ({
+          name: service.name,
+          description: service.enabled ? "Enabled" : "Disabled",
+          id: service.id
+        }));
+    } catch (err) {
+      this.error("Failed fetching service list for autocomplete", err);
+      return [];
+    }
+  }
+
+  async setServiceEnabled(device, args, enabled) {
+    try {
+      await device.api.post('services/services.cgi', { act: 'set' }, { service: args.service.id, enable: enabled ? 1 : 0 });
+      return true;
+    } catch (err) {
+      this.error(`Failed ${enabled ? 'enabling' : 'disabling'} service: `, err);
+      throw new Error(err.message);
+    }
+  }
+
+  async checkService(device, args) {
+    try {
+      const services = await this.listServices(device);
+      const service = services.find(item => item.id === args.service.id);
+      return service?.enabled === true;
+    } catch (err) {
+      this.error("Failed checking service: ", err);
+      throw new Error("Failed to check service status");
+    }
+  }
+
+  async autocompleteUser(device, query) {
+    try {
+      const data = await device.api.get('accessControl/user.cgi', { act: 'list' });
+      const users = Array.isArray(data.users) ? data.users : [];
+      return users
+        .filter(user => user.name.toLowerCase().includes(query.toLowerCase()))
+        .map(user => ({
+          name: user.name,
+          description: user.disabled ? "Disabled" : "Enabled",
+          id: user.name
+        }));
+    } catch (err) {
+      this.error("Failed fetching user list for autocomplete", err);
+      return [];
+    }
+  }
+
+  async setUserEnabled(device, args, enabled) {
+    // Disabling the account Homey signs in with would lock the app out of the NAS
+    const username = await device.getStoreValue('username');
+    if (!enabled && String(args.user.id).toLowerCase() === String(username).toLowerCase()) {
+      throw new Error("Homey signs in with this account, so it can't be disabled from a Flow");
+    }
+
+    try {
+      await device.api.post('accessControl/user.cgi', { act: enabled ? 'enable' : 'disable' }, { name: args.user.id });
+      return true;
+    } catch (err) {
+      this.error(`Failed ${enabled ? 'enabling' : 'disabling'} user: `, err);
+      throw new Error(err.message);
     }
   }
 
   async reboot(device) {
     try {
-      const sid = await device.getStoreValue('sid');
-      const nasurl = await this.getWorkingUrl(device);
-      const url = `${nasurl}portal/apis/admin.cgi?sid=${sid}&act=restart`;
-      const res = await axios.get(url, { timeout: 7000 });
-      if (res?.data?.success) {
+      const data = await device.api.get('admin.cgi', { act: 'restart' });
+      if (data?.success) {
         return true;
       } else {
         throw new Error("Failed to reboot NAS");
@@ -88,11 +627,8 @@ module.exports = class NASDriver extends Homey.Driver {
 
   async shutdown(device) {
     try {
-      const sid = await device.getStoreValue('sid');
-      const nasurl = await this.getWorkingUrl(device);
-      const url = `${nasurl}portal/apis/admin.cgi?sid=${sid}&act=shutdown`;
-      const res = await axios.get(url, { timeout: 7000 });
-      if (res?.data?.success) {
+      const data = await device.api.get('admin.cgi', { act: 'shutdown' });
+      if (data?.success) {
         return true;
       } else {
         throw new Error("Failed to shut down NAS");
@@ -105,15 +641,8 @@ module.exports = class NASDriver extends Homey.Driver {
 
   async disableApp(device, args) {
     try {
-      const sid = await device.getStoreValue('sid');
-      const nasurl = await this.getWorkingUrl(device);
-      const formData = new FormData();
-      formData.append('name', args.app.id);
-      const url = `${nasurl}portal/apis/appCentral/appcentral.cgi?sid=${sid}&act=disable`;
-      const res = await axios.post(url, formData, { timeout: 7000 });
-      if (res?.data?.error_code === 6010) {
-        throw new Error("This app is in use by another app");
-      }
+      await device.api.post('appCentral/appcentral.cgi', { act: 'disable' }, { name: args.app.id });
+      device.appInventory.invalidate();
       return true;
     } catch (err) {
       this.error("Failed disabling app: ", err);
@@ -123,144 +652,996 @@ module.exports = class NASDriver extends Homey.Driver {
 
   async checkApp(device, args) {
     try {
-      const sid = await device.getStoreValue('sid');
-      const nasurl = await this.getWorkingUrl(device);
-      const formData = new FormData();
-      formData.append('includeBeta', 1);
-      formData.append('page', 1);
-      formData.append('limit', 50);
-      formData.append('start', 0);
-      formData.append('category', -1);
-      formData.append('keyword', '');
-      formData.append('sort', 'name');
-      const url = `${nasurl}portal/apis/appCentral/appcentral.cgi?sid=${sid}&act=list-installed`;
-      const res = await axios.post(url, formData, { timeout: 7000 });
-      const data = res.data;
-      const result = data.items
-        .filter(app => app.lock_enable === false)
-        .find(app => app.package === args.app.id);
-      return result?.enabled === true;
+      const app = await device.appInventory.findApp(args.app.id);
+      return app?.lock_enable === false && app.enabled === true;
     } catch (err) {
       this.error("Failed fetching app list for autocomplete", err);
       throw new Error("Failed to check app status");
     }
   }
 
-  async getWorkingUrl(device) {
+  async powerOn(device) {
+    const macAddresses = await device.getStoreValue('mac_addresses');
+    if (!Array.isArray(macAddresses) || macAddresses.length === 0) {
+      throw new Error("The MAC address of the NAS is not known yet. Wait until the NAS has been online at least once.");
+    }
+
+    device.wakeRequestedAt = Date.now();
+    for (const mac of macAddresses) {
+      this.log(`Sending Wake-on-LAN packet to ${mac}`);
+      await sendMagicPacket(mac);
+    }
+
+    // Poll at the normal interval while the NAS boots instead of waiting out the offline backoff
+    device.startPolling();
+    return true;
+  }
+
+  isWaking(device) {
+    return Boolean(device.wakeRequestedAt) && Date.now() - device.wakeRequestedAt < WAKE_GRACE_PERIOD;
+  }
+
+  async checkFirmwareUpdate(device, force = false) {
     try {
-      const cloudId = await device.getStoreValue('cloudid');
-      const lastWorkingUrl = await device.getStoreValue('url');
-      const lastUrlCheck = await device.getStoreValue('last_url_check') || 0;
-      const now = Date.now();
-      
-      // Try the last working URL first (quick check)
-      if (lastWorkingUrl) {
-        try {
-          const testUrl = `${lastWorkingUrl}portal/resources/images/favicon.ico`;
-          const response = await axios.get(testUrl, { timeout: 3000 });
-          if (response.status === 200) {
-            // Set device as available if it was unavailable
-            if (!device.getAvailable()) {
-              await device.setAvailable();
-            }
-            return lastWorkingUrl;
-          }
-        } catch (err) {
-          // Check if blocked by ADM Defender (403)
-          if (err.response?.status === 403) {
-            this.log('Blocked by ADM Defender (403)');
-            await device.setUnavailable("Homey is blocked by the ADM Defender. Remove Homey's IP from the ADM Defender blocklist.");
-            throw new Error('ADM_DEFENDER_BLOCK');
-          }
-          this.log(`Last working URL failed: ${lastWorkingUrl} - ${err.code || err.message}`);
-        }
+      const lastCheck = await device.getStoreValue('last_update_check') || 0;
+      if (!force && Date.now() - lastCheck < FIRMWARE_CHECK_INTERVAL) {
+        return;
       }
-      
-      // If last URL failed or it's time for periodic check (every 10 minutes)
-      if (now - lastUrlCheck > 600000 || !lastWorkingUrl) {
-        this.log('Finding new working URL for NAS');
-        const ezcresult = await this.fetchNasApiResult(cloudId);
-        
-        if (ezcresult === 'invalid' || !ezcresult) {
-          await device.setUnavailable("NAS is unreachable. Is it connected to the network?");
-          throw new Error('NAS_UNREACHABLE');
-        }
-        
-        const { workingUrl } = ezcresult;
-        await device.setStoreValue('url', workingUrl);
-        await device.setStoreValue('last_url_check', now);
-        
-        // Set device as available
-        if (!device.getAvailable()) {
-          await device.setAvailable();
-        }
-        
-        return workingUrl;
+
+      const data = await device.api.get('firmware/firmware.cgi', { act: 'check' });
+      await device.setStoreValue('last_update_check', Date.now());
+
+      const currentVersion = data.current_version;
+      const newVersion = data.has_update ? data.new_version : null;
+      await device.setCapabilityValue('adm_version', currentVersion);
+      await device.setCapabilityValue('adm_available_version', newVersion || currentVersion);
+      if (!device.firmwareProgressInterval) {
+        await device.setCapabilityValue('adm_update_status', newVersion ? 'Update available' : 'Up to date');
       }
-      
-      return lastWorkingUrl;
-    } catch (err) {
-      // Only log if it's not one of our handled errors
-      if (err.message !== 'ADM_DEFENDER_BLOCK' && err.message !== 'NAS_UNREACHABLE') {
-        this.error("Unexpected error getting working URL:", err.message);
+
+      if (!newVersion) {
+        await device.setStoreValue('update_notified', false);
+        return;
       }
-      
-      // Only set unavailable if not already set by specific error handlers
-      if (err.response?.status !== 403 && err.message !== 'NAS_UNREACHABLE' && device.getAvailable()) {
-        await device.setUnavailable("NAS is unreachable. Is it connected to the network?");
+
+      // Only notify once per new version
+      if (await device.getStoreValue('update_notified_version') !== newVersion) {
+        this.log(`New ADM firmware available: ${newVersion}`);
+        await this.homey.flow.getDeviceTriggerCard('adm_update_available')
+          .trigger(device, { current_version: currentVersion, new_version: newVersion })
+          .catch(this.error);
+        await device.setStoreValue('update_notified', true);
+        await device.setStoreValue('update_notified_version', newVersion);
       }
-      throw err;
+    } catch (err) {
+      this.error("Failed checking for ADM updates", err);
     }
   }
 
-  async credentialCheck(device) {
-    try {
-      const username = await device.getStoreValue('username');
-      const password = await device.getStoreValue('password');
-      const formData = new FormData();
-      formData.append('account', username);
-      formData.append('password', password);
-      formData.append('two-step-auth', 'true');
-      formData.append('stay', 'yes');
-      const url = await device.getStoreValue('url');
-      const response = await axios.post(`${url}portal/apis/login.cgi?act=login`, formData);
-      if (response.data.error_code === 5001) {
-        return false;
+  async installFirmwareUpdate(device) {
+    try {
+      if (device.firmwareProgressInterval) {
+        throw new Error("An ADM update is already being installed");
+      }
+
+      const data = await device.api.get('firmware/firmware.cgi', { act: 'check' });
+      if (!data.has_update) {
+        throw new Error("There is no ADM update available");
+      }
+
+      await device.api.get('firmware/firmware.cgi', { act: 'online_update' });
+      this.log(`Installing ADM update ${data.new_version}`);
+      await device.setCapabilityValue('adm_update_status', 'Starting update');
+      this.trackFirmwareProgress(device);
+      return true;
+    } catch (err) {
+      this.error("Failed installing ADM update: ", err);
+      throw new Error(err.message);
+    }
+  }
+
+  trackFirmwareProgress(device) {
+    const startedAt = Date.now();
+
+    device.firmwareProgressInterval = this.homey.setInterval(async () => {
+      if (Date.now() - startedAt > FIRMWARE_PROGRESS_TIMEOUT) {
+        this.stopFirmwareProgress(device);
+        await device.setCapabilityValue('adm_update_status', 'Update status unknown').catch(this.error);
+        return;
+      }
+
+      try {
+        const progress = await device.api.get('firmware/firmware.cgi', { act: 'progress' });
+        const percent = Math.round(progress.percent || 0);
+
+        if (progress.status === 'downloading') {
+          await device.setCapabilityValue('adm_update_status', `Downloading (${percent}%)`);
+        } else if (progress.status === 'installing') {
+          await device.setCapabilityValue('adm_update_status', `Installing (${percent}%)`);
+        } else if (progress.status === 'done') {
+          this.stopFirmwareProgress(device);
+          await device.setCapabilityValue('adm_update_status', 'Restarting');
+          // Check the installed version again once the NAS is back
+          await device.setStoreValue('last_update_check', 0);
+        } else if (progress.status === 'failed') {
+          this.stopFirmwareProgress(device);
+          await device.setCapabilityValue('adm_update_status', 'Update failed');
+        }
+      } catch (err) {
+        // The NAS is briefly unreachable while the update restarts it
+        this.log(`Failed reading ADM update progress: ${err.message}`);
+      }
+    }, FIRMWARE_PROGRESS_INTERVAL);
+  }
+
+  stopFirmwareProgress(device) {
+    if (device.firmwareProgressInterval) {
+      this.homey.clearInterval(device.firmwareProgressInterval);
+      device.firmwareProgressInterval = null;
+    }
+  }
+
+  async learnMacAddresses(device) {
+    try {
+      const data = await device.api.get('information/sysinfo.cgi', { act: 'net' });
+      const macAddresses = data.netif
+        .map(iface => iface.mac)
+        .filter(mac => typeof mac === 'string' && mac.length > 0);
+      if (macAddresses.length > 0) {
+        await device.setStoreValue('mac_addresses', [...new Set(macAddresses)]);
+      }
+    } catch (err) {
+      this.error("Failed learning MAC addresses", err);
+    }
+  }
+
+  async markOnline(device) {
+    // A rejected login keeps the device unavailable until it's repaired
+    if (!device.getAvailable() && !device.api.blockingLoginError) {
+      await device.setAvailable();
+    }
+    if (device.online === true) {
+      return;
+    }
+
+    const wasOffline = device.online === false;
+    device.online = true;
+    device.wakeRequestedAt = null;
+    await device.unsetWarning().catch(this.error);
+    await device.setCapabilityValue('onoff', true).catch(this.error);
+
+    if (wasOffline) {
+      this.log('NAS came online');
+      await this.homey.flow.getDeviceTriggerCard('nas_came_online').trigger(device).catch(this.error);
+    }
+  }
+
+  async markOffline(device) {
+    // Only a repair clears a failed login or a changed certificate
+    if (!device.getAvailable() && !device.api.blockingLoginError && !device.certificateChanged) {
+      await device.setAvailable();
+    }
+    await device.setWarning("NAS is unreachable. Is it connected to the network?").catch(this.error);
+
+    // Keep showing the NAS as on while it is still booting after a power on
+    if (!this.isWaking(device)) {
+      await device.setCapabilityValue('onoff', false).catch(this.error);
+    }
+
+    if (device.online === false) {
+      return;
+    }
+
+    const wasOnline = device.online === true;
+    device.online = false;
+
+    if (wasOnline) {
+      this.log('NAS went offline');
+      await this.homey.flow.getDeviceTriggerCard('nas_went_offline').trigger(device).catch(this.error);
+    }
+  }
+
+  async autocompleteAppUpdate(device, query) {
+    try {
+      const apps = await this.listInstalledApps(device);
+      return apps
+        .filter(app => app.name.toLowerCase().includes(query.toLowerCase()))
+        .filter(app => this.getAppUpdateVersion(app) !== null)
+        .map(app => ({
+          name: app.name,
+          description: `${app.version} → ${this.getAppUpdateVersion(app)}`,
+          id: app.package
+        }));
+    } catch (err) {
+      this.error("Failed fetching app list for autocomplete", err);
+      return [];
+    }
+  }
+
+  async checkAppUpdatePending(device, args) {
+    try {
+      const app = await device.appInventory.findApp(args.app.id);
+      return app ? this.getAppUpdateVersion(app) !== null : false;
+    } catch (err) {
+      this.error("Failed checking app update: ", err);
+      throw new Error("Failed to check app update status");
+    }
+  }
+
+  async updateApp(device, args) {
+    try {
+      await device.api.post('appCentral/appcentral.cgi', { act: 'update' }, { name: args.app.id }, { timeout: 60000 });
+      device.appInventory.invalidate();
+      return true;
+    } catch (err) {
+      this.error("Failed updating app: ", err);
+      throw new Error(err.message);
+    }
+  }
+
+  async updateAllApps(device) {
+    try {
+      const apps = await this.listInstalledApps(device);
+      const outdated = apps.filter(app => this.getAppUpdateVersion(app) !== null);
+      for (const app of outdated) {
+        this.log(`Updating ${app.name} to ${this.getAppUpdateVersion(app)}`);
+        await device.api.post('appCentral/appcentral.cgi', { act: 'update' }, { name: app.package }, { timeout: 60000 });
+      }
+      device.appInventory.invalidate();
+      return true;
+    } catch (err) {
+      this.error("Failed updating apps: ", err);
+      throw new Error(err.message);
+    }
+  }
+
+  async checkAppUpdates(device) {
+    try {
+      const lastCheck = await device.getStoreValue('last_app_update_check') || 0;
+      if (Date.now() - lastCheck < APP_UPDATE_CHECK_INTERVAL) {
+        return;
+      }
+
+      const apps = await this.listInstalledApps(device);
+      await device.setStoreValue('last_app_update_check', Date.now());
+
+      // Remember which version was announced per app, so each update triggers only once
+      const notified = await device.getStoreValue('app_update_notified') || {};
+      const stillPending = {};
+      const trigger = this.homey.flow.getDeviceTriggerCard('app_update_available');
+
+      for (const app of apps) {
+        const newVersion = this.getAppUpdateVersion(app);
+        if (!newVersion) {
+          continue;
+        }
+        stillPending[app.package] = newVersion;
+        if (notified[app.package] !== newVersion) {
+          this.log(`App update available: ${app.name} ${newVersion}`);
+          await trigger.trigger(device, {
+            app: app.name,
+            current_version: app.version,
+            new_version: newVersion
+          }).catch(this.error);
+        }
+      }
+
+      await device.setStoreValue('app_update_notified', stillPending);
+    } catch (err) {
+      this.error("Failed checking for app updates", err);
+    }
+  }
+
+  /**
+   * Identifies a NAS across devices and drivers: the Cloud ID for NASes
+   * paired through EZConnect, host and port for NASes paired by address.
+   */
+  getNasId(device) {
+    const data = device.getData();
+    return data.cloudid || data.host;
+  }
+
+  buildLocalUrl({ protocol, host, port }) {
+    return `${protocol}://${host.trim()}:${port}/`;
+  }
+
+  /**
+   * Lists the ASUSTOR NASes announced over mDNS on the local network. Only
+   * hosts that serve the ADM web interface are returned.
+   */
+  async discoverNases() {
+    const strategy = this.homey.discovery.getStrategy('asustor');
+    const results = Object.values(strategy.getDiscoveryResults());
+
+    const nases = await Promise.all(results.map(async result => {
+      // Prefer HTTPS on the default ADM port, the announced port serves plain HTTP
+      const candidates = [
+        { protocol: 'https', port: 8001 },
+        { protocol: 'http', port: result.port || 8000 }
+      ];
+      for (const { protocol, port } of candidates) {
+        const url = this.buildLocalUrl({ protocol, host: result.address, port });
+        try {
+          // Only checks that ADM answers; the certificate is pinned once the NAS is chosen
+          const response = await axios.get(`${url}portal/resources/images/favicon.ico`, {
+            timeout: 3000,
+            httpsAgent: new https.Agent({ rejectUnauthorized: false })
+          });
+          if (response.status === 200) {
+            return {
+              hostname: result.host || result.name,
+              address: result.address,
+              protocol,
+              port,
+              model: result.txt?.model || ''
+            };
+          }
+        } catch (err) {
+          // Try the next protocol
+        }
+      }
+      return null;
+    }));
+
+    return nases.filter(nas => nas !== null);
+  }
+
+  getPollDelay(device) {
+    const interval = (device.getSetting('poll_interval') || DEFAULT_POLL_INTERVAL) * 1000;
+
+    // Back off exponentially while the NAS can't be reached, but not while it boots after a wake-up
+    if (device.online === false && !this.isWaking(device)) {
+      device.pollFailures = (device.pollFailures || 0) + 1;
+      return Math.min(interval * 2 ** device.pollFailures, MAX_POLL_BACKOFF);
+    }
+
+    device.pollFailures = 0;
+    // Custom URLs and NASes paired by address are treated as local connections
+    if (device.getSetting('custom_url') || device.getStoreValue('connection_mode') === 'local') {
+      return interval;
+    }
+    const path = device.getStoreValue('connection_path');
+    return interval * (POLL_INTERVAL_FACTORS[path] || 1);
+  }
+
+  async probeUrl(device, url, timeout = 3000) {
+    try {
+      const httpsAgent = await device.certificatePins.getAgent(url);
+      const response = await axios.get(`${url}portal/resources/images/favicon.ico`, { timeout, httpsAgent });
+      return response.status === 200;
+    } catch (err) {
+      // Handled by getWorkingUrl, never silently fall back to another address
+      if (CertificatePins.isCertificateError(err)) {
+        throw err;
+      }
+      // Check if blocked by ADM Defender (403)
+      if (err.response?.status === 403) {
+        this.log('Blocked by ADM Defender (403)');
+        await device.setUnavailable("Homey is blocked by the ADM Defender. Remove Homey's IP from the ADM Defender blocklist.");
+        throw new Error('ADM_DEFENDER_BLOCK');
+      }
+      this.log(`Last working URL failed: ${url} - ${err.code || err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Shows how Homey currently reaches the NAS and fires a trigger when that changes.
+   */
+  async setConnectionPath(device, path) {
+    const previous = device.getCapabilityValue('connection_type');
+    await device.setStoreValue('connection_path', path);
+    await device.setCapabilityValue('connection_type', path).catch(this.error);
+
+    if (previous && previous !== path) {
+      this.log(`Connection path changed from ${previous} to ${path}`);
+      await this.homey.flow.getDeviceTriggerCard('connection_path_changed')
+        .trigger(device, { previous, current: path })
+        .catch(this.error);
+    }
+  }
+
+  async getWorkingUrl(device) {
+    try {
+      const cloudId = await device.getStoreValue('cloudid');
+      const lastWorkingUrl = await device.getStoreValue('url');
+      const lastUrlCheck = await device.getStoreValue('last_url_check') || 0;
+      const now = Date.now();
+
+      // A custom URL from the device settings replaces the automatic connection search
+      const customUrl = this.normalizeUrl(device.getSetting('custom_url'));
+      if (customUrl) {
+        if (await this.probeUrl(device, customUrl)) {
+          await this.setConnectionPath(device, 'Custom');
+          await this.markOnline(device);
+          return customUrl;
+        }
+        await this.markOffline(device);
+        throw new Error('NAS_UNREACHABLE');
+      }
+      
+      const isLocal = await device.getStoreValue('connection_mode') === 'local';
+      const preferredType = device.getSetting('connection_type') || 'auto';
+      const allowedTypes = ALLOWED_CONNECTION_TYPES[device.getSetting('allowed_connections')] || ALLOWED_CONNECTION_TYPES.all;
+
+      // Look for an HTTPS address while connected over plain HTTP
+      const upgradeFailures = await device.getStoreValue('https_upgrade_failures') || 0;
+      const upgradeInterval = Math.min(HTTPS_UPGRADE_INTERVAL * 2 ** upgradeFailures, MAX_HTTPS_UPGRADE_INTERVAL);
+      if (!isLocal && lastWorkingUrl?.startsWith('http:') && now - lastUrlCheck > upgradeInterval) {
+        await device.setStoreValue('last_url_check', now);
+        const upgrade = await this.fetchNasApiResult(cloudId, preferredType, device.certificatePins, allowedTypes).catch(err => {
+          if (CertificatePins.isCertificateError(err)) {
+            throw err;
+          }
+          return null;
+        });
+        if (upgrade && upgrade !== 'invalid' && upgrade.workingUrl.startsWith('https:')) {
+          this.log('Switched to HTTPS');
+          await device.setStoreValue('https_upgrade_failures', 0);
+          await device.setStoreValue('url', upgrade.workingUrl);
+          await this.setConnectionPath(device, upgrade.type);
+          await this.markOnline(device);
+          return upgrade.workingUrl;
+        }
+        await device.setStoreValue('https_upgrade_failures', upgradeFailures + 1);
+      }
+
+      // The last API call proves the NAS is reachable, no need to probe it again
+      if (lastWorkingUrl && device.online && Date.now() - device.api.lastSuccessAt < PROBE_SKIP_WINDOW) {
+        return lastWorkingUrl;
+      }
+      
+      // Try the last working URL first (quick check)
+      if (lastWorkingUrl && await this.probeUrl(device, lastWorkingUrl)) {
+        if (isLocal) {
+          await this.setConnectionPath(device, 'LAN');
+        }
+        await this.markOnline(device);
+        return lastWorkingUrl;
+      }
+
+      // NASes paired by address only have the one URL and never use EZConnect
+      if (isLocal) {
+        await this.markOffline(device);
+        throw new Error('NAS_UNREACHABLE');
+      }
+      
+      // If last URL failed or it's time for periodic check (every 10 minutes)
+      if (now - lastUrlCheck > 600000 || !lastWorkingUrl) {
+        this.log('Finding new working URL for NAS');
+        const ezcresult = await this.fetchNasApiResult(cloudId, preferredType, device.certificatePins, allowedTypes);
+        
+        if (ezcresult === 'invalid' || !ezcresult) {
+          await this.markOffline(device);
+          throw new Error('NAS_UNREACHABLE');
+        }
+        
+        const { workingUrl, type } = ezcresult;
+        await device.setStoreValue('url', workingUrl);
+        await this.setConnectionPath(device, type);
+        await device.setStoreValue('last_url_check', now);
+        
+        await this.markOnline(device);
+        
+        return workingUrl;
+      }
+      
+      return lastWorkingUrl;
+    } catch (err) {
+      if (CertificatePins.isCertificateError(err)) {
+        await this.setCertificateChanged(device);
+        throw new Error('CERTIFICATE_CHANGED');
+      }
+
+      // Only log if it's not one of our handled errors
+      if (err.message !== 'ADM_DEFENDER_BLOCK' && err.message !== 'NAS_UNREACHABLE') {
+        this.error("Unexpected error getting working URL:", err.message);
+      }
+      
+      // Only mark offline if not already handled by specific error handlers
+      if (err.message !== 'ADM_DEFENDER_BLOCK' && err.message !== 'NAS_UNREACHABLE') {
+        await this.markOffline(device);
+      }
+      throw err;
+    }
+  }
+
+  async getPassword(device) {
+    const encrypted = await device.getStoreValue('password_encrypted');
+    if (!encrypted) {
+      return null;
+    }
+    try {
+      return this.credentials.decrypt(encrypted);
+    } catch (err) {
+      this.error("Failed decrypting the stored password");
+      return null;
+    }
+  }
+
+  /**
+   * Stores the password encrypted, or removes it when null is passed so only
+   * the session ID is kept.
+   */
+  async storePassword(device, password) {
+    if (password) {
+      await device.setStoreValue('password_encrypted', this.credentials.encrypt(password));
+    } else {
+      await device.unsetStoreValue('password_encrypted');
+    }
+  }
+
+  /**
+   * Encrypts the password of NASes paired before passwords were encrypted.
+   */
+  async migratePassword(device) {
+    const password = await device.getStoreValue('password');
+    if (password) {
+      await this.storePassword(device, password);
+      await device.unsetStoreValue('password');
+      this.log('Encrypted the stored password');
+    }
+  }
+
+  async setCertificateChanged(device) {
+    this.log('The certificate of the NAS changed');
+    device.certificateChanged = true;
+    await device.setUnavailable("The HTTPS certificate of the NAS changed, so Homey stopped connecting to it. If you replaced the certificate yourself, repair the device to trust the new one.");
+  }
+
+  /**
+   * Logs in with new credentials and returns the login response. Throws an
+   * error telling the user why the credentials couldn't be confirmed.
+   */
+  async credentialCheck(device, username, password) {
+    let data;
+    try {
+      const url = await this.getWorkingUrl(device);
+      data = await AdmClient.authenticate(url, {
+        username,
+        password,
+        trustToken: await device.getStoreValue('trust_token'),
+        httpsAgent: await device.certificatePins.getAgent(url)
+      });
+    } catch (err) {
+      this.error("Credential check failed:", err);
+      if (err.response?.status === 403) {
+        throw new Error("Homey is blocked by the ADM Defender, so the credentials could not be checked");
+      }
+      if (CertificatePins.isCertificateError(err) || err.message === 'CERTIFICATE_CHANGED') {
+        throw new Error("The HTTPS certificate of the NAS changed. Repair the device before changing the credentials");
+      }
+      throw new Error("The NAS is not reachable, so the credentials could not be checked");
+    }
+
+    if (data.error_code) {
+      const error = new AdmError(data.error_code);
+      if (error.isCredentialError) {
+        throw new Error('The NAS rejected these credentials');
+      }
+      if (error.isOtpRequired) {
+        throw new Error("ADM asks for a two-step verification code for this account. Repair the device to sign in with it");
+      }
+      throw new Error(`The NAS refused the login: ${error.message}`);
+    }
+    if (!data.sid) {
+      throw new Error('The NAS did not return a session for these credentials');
+    }
+    return data;
+  }
+
+  normalizeUrl(url) {
+    if (!url || !url.trim()) {
+      return null;
+    }
+    const trimmed = url.trim();
+    return trimmed.endsWith('/') ? trimmed : `${trimmed}/`;
+  }
+
+  async applySettings(device, { newSettings, changedKeys }) {
+    if (changedKeys.includes('custom_url') && newSettings.custom_url) {
+      const customUrl = this.normalizeUrl(newSettings.custom_url);
+      if (!/^https?:\/\//.test(customUrl)) {
+        throw new Error('The custom URL has to start with http:// or https://');
+      }
+      if (!await this.probeUrl(device, customUrl, 5000)) {
+        throw new Error('The NAS is not reachable on the custom URL');
+      }
+    }
+
+    const enablesStoredPassword = changedKeys.includes('store_password') && newSettings.store_password;
+    if (enablesStoredPassword && !newSettings.password) {
+      throw new Error('Enter the password to keep it on Homey');
+    }
+
+    let password = null;
+    let login = null;
+    if (changedKeys.includes('username') || (changedKeys.includes('password') && newSettings.password)) {
+      password = newSettings.password || await this.getPassword(device);
+      if (!password) {
+        throw new Error('Enter the password to change the username');
+      }
+      login = await this.credentialCheck(device, newSettings.username, password);
+    }
+
+    // Only change the store once every setting was accepted; Homey rolls the
+    // settings back when this throws, but not the store
+    // NASes paired by address only have the one URL, these settings apply to Cloud IDs
+    const isLocal = await device.getStoreValue('connection_mode') === 'local';
+    if (!isLocal && (changedKeys.includes('connection_type') || changedKeys.includes('allowed_connections'))) {
+      // Search for a working URL again on the next poll, starting with the new preference
+      await device.setStoreValue('last_url_check', 0);
+      await device.setStoreValue('url', null);
+    }
+
+    if (changedKeys.includes('store_password') && !newSettings.store_password) {
+      await this.storePassword(device, null);
+    }
+
+    if (login) {
+      await device.setStoreValue('username', newSettings.username);
+      await device.setStoreValue('sid', login.sid);
+      if (login.trust_token) {
+        await device.setStoreValue('trust_token', login.trust_token);
+      }
+      if (newSettings.store_password) {
+        await this.storePassword(device, password);
+      }
+      device.api.resetLoginError();
+      if (!device.getAvailable()) {
+        await device.setAvailable();
+      }
+
+      // Homey saves the settings, including the new password in plaintext, only after
+      // this returns; it can't be cleared before then
+      if (newSettings.password) {
+        this.clearPasswordSetting(device);
+      }
+    }
+  }
+
+  clearPasswordSetting(device, attempt = 1) {
+    this.homey.setTimeout(async () => {
+      try {
+        await device.setSettings({ password: '' });
+      } catch (err) {
+        this.error(`Failed clearing the password setting (attempt ${attempt}):`, err);
+        if (attempt < PASSWORD_CLEAR_ATTEMPTS) {
+          this.clearPasswordSetting(device, attempt + 1);
+        } else {
+          await this.homey.notifications.createNotification({
+            excerpt: `The new password of ${device.getName()} is still in its device settings. Empty the password field to remove it.`
+          }).catch(this.error);
+        }
+      }
+    }, 1000 * attempt);
+  }
+
+  async listVolumes(device) {
+    try {
+      const data = await device.api.get('storageManager/volume.cgi', { act: 'list' });
+      return data?.volumes || [];
+    } catch (err) {
+      this.error("Failed fetching volume list", err);
+      return [];
+    }
+  }
+
+  /**
+   * Volumes that support snapshots, taken from the list the last poll fetched.
+   */
+  async listSnapshotVolumes(device) {
+    const volumes = device.volumes || await this.listVolumes(device);
+    return volumes.filter(volume => !volume.fs_type || volume.fs_type.toLowerCase() === 'btrfs');
+  }
+
+  async autocompleteVolume(device, query) {
+    const volumeDriver = this.homey.drivers.getDriver('volume');
+    const volumes = await this.listSnapshotVolumes(device);
+    return volumes
+      .filter(volume => volume.name.toLowerCase().includes(query.toLowerCase()))
+      .map(volume => ({
+        name: volume.name,
+        id: volumeDriver.getVolumeId(volume)
+      }));
+  }
+
+  async listSnapshots(device, volumeId) {
+    const data = await device.api.get('snapshotCenter/snapshot.cgi', { act: 'list', volume: volumeId });
+    return Array.isArray(data.snapshots) ? data.snapshots : [];
+  }
+
+  async takeSnapshot(device, args) {
+    try {
+      await device.api.post('snapshotCenter/snapshot.cgi', { act: 'create' }, {
+        volume: args.volume.id,
+        description: args.description || ''
+      });
+    } catch (err) {
+      this.error("Failed taking snapshot: ", err);
+      throw new Error(err.message);
+    }
+
+    // Fires the snapshot created trigger right away instead of at the next check
+    await this.checkSnapshots(device, true);
+    return true;
+  }
+
+  async deleteOldSnapshots(device, args) {
+    try {
+      const cutoff = Date.now() / 1000 - args.days * 24 * 60 * 60;
+      const snapshots = await this.listSnapshots(device, args.volume.id);
+      const expired = snapshots.filter(snapshot => !snapshot.locked && Number(snapshot.create_time) < cutoff);
+      if (expired.length === 0) {
+        return true;
+      }
+
+      this.log(`Deleting ${expired.length} snapshots of ${args.volume.name}`);
+      await device.api.post('snapshotCenter/snapshot.cgi', { act: 'delete' }, {
+        volume: args.volume.id,
+        ids: expired.map(snapshot => snapshot.id).join(',')
+      });
+      return true;
+    } catch (err) {
+      this.error("Failed deleting snapshots: ", err);
+      throw new Error(err.message);
+    }
+  }
+
+  async checkSnapshots(device, force = false) {
+    try {
+      const lastCheck = await device.getStoreValue('last_snapshot_check') || 0;
+      if (!force && Date.now() - lastCheck < SNAPSHOT_CHECK_INTERVAL) {
+        return;
+      }
+      await device.setStoreValue('last_snapshot_check', Date.now());
+
+      const volumeDriver = this.homey.drivers.getDriver('volume');
+      // Remember which snapshots were seen per volume, so each one triggers only once
+      const known = await device.getStoreValue('snapshot_ids') || {};
+      const seen = {};
+
+      for (const volume of await this.listSnapshotVolumes(device)) {
+        const volumeId = volumeDriver.getVolumeId(volume);
+        const snapshots = await this.listSnapshots(device, volumeId);
+        seen[volumeId] = snapshots.map(snapshot => String(snapshot.id));
+
+        // The first check of a volume only learns the existing snapshots
+        if (!known[volumeId]) {
+          continue;
+        }
+        for (const snapshot of snapshots) {
+          if (!known[volumeId].includes(String(snapshot.id))) {
+            this.log(`Snapshot created on ${volume.name}`);
+            await this.homey.flow.getDeviceTriggerCard('snapshot_created')
+              .trigger(device, { volume: volume.name, description: snapshot.description || '' })
+              .catch(this.error);
+          }
+        }
+      }
+
+      await device.setStoreValue('snapshot_ids', seen);
+    } catch (err) {
+      this.error("Failed checking snapshots", err);
+    }
+  }
+
+  async listDisks(device) {
+    try {
+      const data = await device.api.get('storageManager/disk.cgi', { act: 'list' });
+      return data?.disks || [];
+    } catch (err) {
+      this.error("Failed fetching disk list", err);
+      return [];
+    }
+  }
+
+  async autocompleteNas(device, lanInterface) {
+    try {
+      const data = await device.api.get('information/sysinfo.cgi', { act: 'net' });
+      const results = data.netif
+        .filter(iface => iface.name.toLowerCase().includes(lanInterface.toLowerCase()))
+        .map(iface => ({
+          name: iface.name,
+          description: iface.status ? "Connected" : "Disconnected",
+          id: iface.name
+        }));
+      return results;
+    } catch (err) {
+      this.error("Fetching LAN interface list from NAS resulted in an error:", err);
+      return [];
+    }
+  }
+
+  async onInit() {
+    try { 
+      this.log('NAS driver init');
+      this.credentials = new CredentialStore(this.homey.settings);
+      this.registerFlowCards();
+    } catch (err) {
+      this.error("Error during NAS driver initialization:", err);
+    }
+  }
+
+  /**
+   * Flow cards are registered once for the driver; every card carries the
+   * NAS it runs against in args.device.
+   */
+  registerFlowCards() {
+    const lanCondition = this.homey.flow.getConditionCard('lan_port_connected');
+    lanCondition.registerArgumentAutocompleteListener('port', async (query, args) => {
+      return this.autocompleteNas(args.device, query);
+    });
+    lanCondition.registerRunListener(async (args, state) => {
+      return this.checkLANPort(args.device, args.port.id);
+    });
+
+    const enableAppAction = this.homey.flow.getActionCard('enable_app');
+    enableAppAction.registerArgumentAutocompleteListener('app', async (query, args) => {
+      return this.autocompleteApp(args.device, query);
+    });
+    enableAppAction.registerRunListener(async (args, state) => {
+      return this.enableApp(args.device, args);
+    });
+
+    const disableAppAction = this.homey.flow.getActionCard('disable_app');
+    disableAppAction.registerArgumentAutocompleteListener('app', async (query, args) => {
+      return this.autocompleteApp(args.device, query);
+    });
+    disableAppAction.registerRunListener(async (args, state) => {
+      return this.disableApp(args.device, args);
+    });
+
+    const appEnabledCondition = this.homey.flow.getConditionCard('app_enabled');
+    appEnabledCondition.registerArgumentAutocompleteListener('app', async (query, args) => {
+      return this.autocompleteApp(args.device, query);
+    });
+    appEnabledCondition.registerRunListener(async (args, state) => {
+      return this.checkApp(args.device, args);
+    });
+
+    const enableServiceAction = this.homey.flow.getActionCard('enable_service');
+    enableServiceAction.registerArgumentAutocompleteListener('service', async (query, args) => {
+      return this.autocompleteService(args.device, query);
+    });
+    enableServiceAction.registerRunListener(async (args, state) => {
+      return this.setServiceEnabled(args.device, args, true);
+    });
+
+    const disableServiceAction = this.homey.flow.getActionCard('disable_service');
+    disableServiceAction.registerArgumentAutocompleteListener('service', async (query, args) => {
+      return this.autocompleteService(args.device, query);
+    });
+    disableServiceAction.registerRunListener(async (args, state) => {
+      return this.setServiceEnabled(args.device, args, false);
+    });
+
+    const serviceCondition = this.homey.flow.getConditionCard('service_enabled');
+    serviceCondition.registerArgumentAutocompleteListener('service', async (query, args) => {
+      return this.autocompleteService(args.device, query);
+    });
+    serviceCondition.registerRunListener(async (args, state) => {
+      return this.checkService(args.device, args);
+    });
+
+    const enableUserAction = this.homey.flow.getActionCard('enable_user');
+    enableUserAction.registerArgumentAutocompleteListener('user', async (query, args) => {
+      return this.autocompleteUser(args.device, query);
+    });
+    enableUserAction.registerRunListener(async (args, state) => {
+      return this.setUserEnabled(args.device, args, true);
+    });
+
+    const disableUserAction = this.homey.flow.getActionCard('disable_user');
+    disableUserAction.registerArgumentAutocompleteListener('user', async (query, args) => {
+      return this.autocompleteUser(args.device, query);
+    });
+    disableUserAction.registerRunListener(async (args, state) => {
+      return this.setUserEnabled(args.device, args, false);
+    });
+
+    const addDefenderIpAction = this.homey.flow.getActionCard('defender_add_ip');
+    addDefenderIpAction.registerRunListener(async (args, state) => {
+      return this.addDefenderIp(args.device, args);
+    });
+
+    const removeDefenderIpAction = this.homey.flow.getActionCard('defender_remove_ip');
+    removeDefenderIpAction.registerRunListener(async (args, state) => {
+      return this.removeDefenderIp(args.device, args);
+    });
+
+    const takeSnapshotAction = this.homey.flow.getActionCard('take_snapshot');
+    takeSnapshotAction.registerArgumentAutocompleteListener('volume', async (query, args) => {
+      return this.autocompleteVolume(args.device, query);
+    });
+    takeSnapshotAction.registerRunListener(async (args, state) => {
+      return this.takeSnapshot(args.device, args);
+    });
+
+    const deleteSnapshotsAction = this.homey.flow.getActionCard('delete_old_snapshots');
+    deleteSnapshotsAction.registerArgumentAutocompleteListener('volume', async (query, args) => {
+      return this.autocompleteVolume(args.device, query);
+    });
+    deleteSnapshotsAction.registerRunListener(async (args, state) => {
+      return this.deleteOldSnapshots(args.device, args);
+    });
+
+    const startBackupAction = this.homey.flow.getActionCard('start_backup_job');
+    startBackupAction.registerArgumentAutocompleteListener('job', async (query, args) => {
+      return this.autocompleteBackupJob(args.device, query);
+    });
+    startBackupAction.registerRunListener(async (args, state) => {
+      return this.startBackupJob(args.device, args);
+    });
+
+    const backupRunningCondition = this.homey.flow.getConditionCard('backup_job_running');
+    backupRunningCondition.registerArgumentAutocompleteListener('job', async (query, args) => {
+      return this.autocompleteBackupJob(args.device, query);
+    });
+    backupRunningCondition.registerRunListener(async (args, state) => {
+      return this.checkBackupJobRunning(args.device, args);
+    });
+
+    const temperatureTrigger = this.homey.flow.getDeviceTriggerCard('system_temperature_above');
+    temperatureTrigger.registerRunListener(async (args, state) => temperatureRoseAbove(args, state));
+
+    const upsCondition = this.homey.flow.getConditionCard('ups_is_on_battery');
+    upsCondition.registerRunListener(async (args, state) => {
+      if (!args.device.hasCapability('ups_on_battery')) {
+        throw new Error('No UPS is connected to this NAS');
       }
-      return true;
-    } catch (err) {
-      this.error("Credential check failed:", err);
-      return false;
-    }
-  }
+      return args.device.getCapabilityValue('ups_on_battery') === true;
+    });
 
-  async autocompleteNas(device, lanInterface) {
-    try {
-      const sid = await device.getStoreValue('sid');
-      const nasurl = await this.getWorkingUrl(device);
-      const url = `${nasurl}portal/apis/information/sysinfo.cgi?sid=${sid}&act=net`;
-      const res = await axios.get(url, { timeout: 7000 });
-      const data = res.data;
-      const results = data.netif
-        .filter(iface => iface.name.toLowerCase().includes(lanInterface.toLowerCase()))
-        .map(iface => ({
-          name: iface.name,
-          description: iface.status ? "Connected" : "Disconnected",
-          id: iface.name
-        }));
-      return results;
-    } catch (err) {
-      this.error("Fetching LAN interface list from NAS resulted in an error:", err);
-      return [];
-    }
-  }
+    const throughputCondition = this.homey.flow.getConditionCard('interface_throughput_above');
+    throughputCondition.registerArgumentAutocompleteListener('interface', async (query, args) => {
+      return this.autocompleteNas(args.device, query);
+    });
+    throughputCondition.registerRunListener(async (args, state) => {
+      return this.checkInterfaceThroughput(args.device, args);
+    });
 
-  async onInit() {
-    try { 
-      this.log('NAS driver init');
-    } catch (err) {
-      this.error("Error during NAS driver initialization:", err);
-    }
+    this.usageAboveTrigger = this.homey.flow.getDeviceTriggerCard('usage_rises_above');
+    this.usageBelowTrigger = this.homey.flow.getDeviceTriggerCard('usage_falls_below');
+
+    this.usageAboveTrigger.registerRunListener(async (args, state) => {
+      return this.checkUsageThreshold(args, state, 'above');
+    });
+
+    this.usageBelowTrigger.registerRunListener(async (args, state) => {
+      return this.checkUsageThreshold(args, state, 'below');
+    });
+
+    const powerOnAction = this.homey.flow.getActionCard('power_on');
+    powerOnAction.registerRunListener(async (args, state) => {
+      return this.powerOn(args.device);
+    });
+
+    const installUpdateAction = this.homey.flow.getActionCard('install_adm_update');
+    installUpdateAction.registerRunListener(async (args, state) => {
+      return this.installFirmwareUpdate(args.device);
+    });
+
+    const updateAppAction = this.homey.flow.getActionCard('update_app');
+    updateAppAction.registerArgumentAutocompleteListener('app', async (query, args) => {
+      return this.autocompleteAppUpdate(args.device, query);
+    });
+    updateAppAction.registerRunListener(async (args, state) => {
+      return this.updateApp(args.device, args);
+    });
+
+    const updateAllAppsAction = this.homey.flow.getActionCard('update_all_apps');
+    updateAllAppsAction.registerRunListener(async (args, state) => {
+      return this.updateAllApps(args.device);
+    });
+
+    const appUpdatePendingCondition = this.homey.flow.getConditionCard('app_update_pending');
+    appUpdatePendingCondition.registerArgumentAutocompleteListener('app', async (query, args) => {
+      return this.autocompleteApp(args.device, query, true);
+    });
+    appUpdatePendingCondition.registerRunListener(async (args, state) => {
+      return this.checkAppUpdatePending(args.device, args);
+    });
   }
 
   async onPairListDevices() {
@@ -268,21 +1649,67 @@ module.exports = class NASDriver extends Homey.Driver {
   }
 
   onPair(session) {
-    let tempCloudId;
-    let tempUrl;
-    let urlSearchTimeout;
+    const target = {};
+    this.registerConnectionHandlers(session, target);
     
+    session.setHandler("list_devices", async () => {
+      // Check if device already exists
+      const devices = this.getDevices();
+      const existingDevice = devices.find(device => {
+        return this.getNasId(device) === target.nasId;
+      });
+      
+      if (existingDevice) {
+        throw new Error('This NAS is already added to Homey');
+      }
+
+      if (target.defender) {
+        await this.allowHomeyInDefender(target.defender);
+      }
+      return [];
+    });
+  }
+
+  onRepair(session, device) {
+    const target = {};
+    this.registerConnectionHandlers(session, target);
+
+    session.setHandler("current", async () => {
+      return {
+        mode: await device.getStoreValue('connection_mode') || 'cloud',
+        cloudid: device.getData().cloudid || '',
+        host: await device.getStoreValue('host') || '',
+        protocol: String(await device.getStoreValue('url')).startsWith('https') ? 'https' : 'http',
+        username: await device.getStoreValue('username') || ''
+      };
+    });
+
+    session.setHandler("repair", async (data) => {
+      return this.repairDevice(device, target, data);
+    });
+  }
+
+  /**
+   * Handlers shared by the pair and repair views: finding the NAS through its
+   * Cloud ID, on the local network or on an address, and logging in to it.
+   * The NAS that was found is kept in target.
+   */
+  registerConnectionHandlers(session, target) {
+    // Certificates seen while pairing are trusted from then on
+    target.pins = new CertificatePins();
+
     session.setHandler("cloudid", async (data) => {
       try {
         const cloudId = data.cloudid;
-        tempCloudId = cloudId;
+        target.nasId = cloudId;
+        target.mode = 'cloud';
         
         // Start the URL search asynchronously
-        this.findWorkingUrl(cloudId, session).then(result => {
+        this.findWorkingUrl(cloudId, session, target.pins).then(result => {
           if (result === 'invalid') {
             session.emit('url_result', { status: 'invalid' });
           } else if (result) {
-            tempUrl = result;
+            target.url = result;
             session.emit('url_result', { status: 'success', url: result });
           } else {
             session.emit('url_result', { status: 'error' });
@@ -300,24 +1727,71 @@ module.exports = class NASDriver extends Homey.Driver {
       }
     });
     
+    session.setHandler("discover", async () => {
+      try {
+        return await this.discoverNases();
+      } catch (err) {
+        this.error("LAN discovery failed:", err);
+        return [];
+      }
+    });
+
+    session.setHandler("address", async (data) => {
+      try {
+        const url = this.buildLocalUrl(data);
+        target.nasId = `${data.host.trim()}:${data.port}`.toLowerCase();
+        target.mode = 'local';
+
+        const httpsAgent = await target.pins.getAgent(url);
+        const response = await axios.get(`${url}portal/resources/images/favicon.ico`, { timeout: 5000, httpsAgent });
+        if (response.status !== 200) {
+          return { status: 'unreachable' };
+        }
+        target.url = url;
+        return { status: 'success', url, host: target.nasId };
+      } catch (err) {
+        if (err.response?.status === 403) {
+          return { status: 'blocked' };
+        }
+        this.log(`NAS not reachable on address: ${err.code || err.message}`);
+        return { status: 'unreachable' };
+      }
+    });
+
     session.setHandler("auth", async (data) => {
       try {
-        const username = data.username;
-        const password = data.password;
-        const formData = new FormData();
-        formData.append('account', username);
-        formData.append('password', password);
-        formData.append('two-step-auth', 'true');
-        formData.append('stay', 'yes');
-        const url = data.url;
-        const response = await axios.post(`${url}portal/apis/login.cgi?act=login`, formData);
+        const httpsAgent = await target.pins.getAgent(data.url);
+        const result = await AdmClient.authenticate(data.url, {
+          username: data.username,
+          password: data.password,
+          otp: data.otp,
+          httpsAgent
+        });
         
-        if (response.data.error_code === 5001) {
+        if (result.error_code === 5001) {
           return 'invalid';
         }
+        if (result.error_code === OTP_REQUIRED) {
+          return 'otp';
+        }
+        if (result.error_code === OTP_INVALID) {
+          return 'otpinvalid';
+        }
+
+        // Anything other than an ADM login response means this is not an ADM web interface
+        if (!result || typeof result !== 'object' || (!result.sid && !result.error_code)) {
+          return 'notadm';
+        }
         
-        this.log(response.data.sid);
-        return response.data.sid;
+        // Changed on the NAS only once the pair or repair view goes ahead with this login
+        target.defender = data.whitelist ? { url: data.url, sid: result.sid, httpsAgent } : null;
+        return {
+          sid: result.sid,
+          trustToken: result.trust_token || null,
+          certificatePins: target.pins.toJSON(),
+          // The pair view puts this in the store, so the password never reaches it unencrypted
+          passwordEncrypted: data.rememberPassword ? this.credentials.encrypt(data.password) : null
+        };
       } catch (error) {
         if (error.response?.status === 403) {
           return 'blocked';
@@ -326,136 +1800,214 @@ module.exports = class NASDriver extends Homey.Driver {
         return 'autherror';
       }
     });
-    
-    session.setHandler("list_devices", async () => {
-      // Check if device already exists
-      const devices = this.getDevices();
-      const existingDevice = devices.find(device => {
-        const deviceCloudId = device.getData().cloudid;
-        return deviceCloudId === tempCloudId;
-      });
-      
-      if (existingDevice) {
-        throw new Error('This NAS is already added to Homey');
-      }
-      
-      return [];
-    });
   }
 
-  async findWorkingUrl(cloudId, session) {
-    try {
-      const result = await this.fetchApiResultFromEzconnect(cloudId);
-      const urlsToTry = [];
+  async repairDevice(device, target, data) {
+    const cloudId = device.getData().cloudid;
+    if (target.mode === 'cloud' && cloudId && target.nasId !== cloudId) {
+      throw new Error('This Cloud ID belongs to a different NAS');
+    }
 
-      // lan access
-      if (Array.isArray(result.lan_ips_http)) {
-        urlsToTry.push(...result.lan_ips_http.map(ip => ({
-          url: `${ip}portal/resources/images/favicon.ico`,
-          type: 'LAN'
-        })));
-      }
+    if (target.defender) {
+      await this.allowHomeyInDefender(target.defender);
+    }
 
-      // ddns myasustor
-      urlsToTry.push({
-        url: `http://${cloudId}.myasustor.com:8000/portal/resources/images/favicon.ico`,
-        type: 'DDNS'
-      });
+    await device.setStoreValue('url', target.url);
+    await device.setStoreValue('last_url_check', Date.now());
+    await device.setStoreValue('https_upgrade_failures', 0);
+    await device.setStoreValue('connection_mode', target.mode);
+    if (target.mode === 'local') {
+      await device.setStoreValue('host', target.nasId);
+    } else {
+      await device.setStoreValue('cloudid', target.nasId);
+    }
 
-      // public wan ip
-      if (result.wan_ip_http) {
-        urlsToTry.push({
-          url: `${result.wan_ip_http}portal/resources/images/favicon.ico`,
-          type: 'WAN'
-        });
-      }
+    await device.setStoreValue('username', data.username);
+    await this.storePassword(device, data.rememberPassword ? data.password : null);
+    await device.setStoreValue('sid', data.sid);
+    if (data.trustToken) {
+      await device.setStoreValue('trust_token', data.trustToken);
+    }
+    await device.setSettings({ username: data.username, store_password: Boolean(data.rememberPassword) });
+    // Repairing is how a replaced certificate gets trusted
+    await device.setCertificatePins(target.pins.toJSON());
+    device.certificateChanged = false;
 
-      // cloud relay (webrelay)
-      if (result.relay_url) {
-        urlsToTry.push({
-          url: `${result.relay_url}portal/resources/images/favicon.ico`,
-          type: 'Relay'
-        });
+    device.api.resetLoginError();
+    await device.setAvailable();
+    this.log('NAS was repaired');
+    return true;
+  }
+
+  /**
+   * Addresses EZConnect publishes for a NAS, in order of preference. HTTPS
+   * comes before plain HTTP on every connection type.
+   */
+  getCandidateUrls(cloudId, result) {
+    const candidates = [];
+
+    // lan access
+    for (const field of ['lan_ips_https', 'lan_ips_http']) {
+      if (Array.isArray(result[field])) {
+        candidates.push(...result[field].map(url => ({ url, type: 'LAN' })));
       }
+    }
 
-      if (result.errno === 2) {
-        return "invalid";
+    // ddns myasustor
+    candidates.push(
+      { url: `https://${cloudId}.myasustor.com:8001/`, type: 'DDNS' },
+      { url: `http://${cloudId}.myasustor.com:8000/`, type: 'DDNS' }
+    );
+
+    // public wan ip
+    for (const field of ['wan_ip_https', 'wan_ip_http']) {
+      if (result[field]) {
+        candidates.push({ url: result[field], type: 'WAN' });
       }
+    }
 
-      // Try all URLs in parallel with individual timeouts
-      const urlPromises = urlsToTry.map(async ({ url, type }) => {
-        try {
-          session.emit('url_test', { type, status: 'testing' });
-          const response = await axios.get(url, { timeout: 5000 });
-          if (response.status === 200) {
-            this.log(`Working NAS URL (${type}): ${url}`);
-            session.emit('url_test', { type, status: 'success' });
-            return url.replace('portal/resources/images/favicon.ico', '');
+    // cloud relay (webrelay)
+    if (result.relay_url) {
+      candidates.push({ url: result.relay_url, type: 'Relay' });
+    }
+
+    return candidates;
+  }
+
+  async probeCandidate(url, pins, { timeout = 5000, signal } = {}) {
+    const httpsAgent = await pins.getAgent(url);
+    const response = await axios.get(`${url}portal/resources/images/favicon.ico`, { timeout, httpsAgent, signal });
+    return response.status === 200;
+  }
+
+  /**
+   * Probes all candidate addresses at once and resolves with the most
+   * preferred one that responds, as soon as every candidate before it has
+   * failed. The remaining probes are aborted. Resolves null when none respond
+   * and rejects when a certificate doesn't match its pin.
+   *
+   * @param {object[]} candidates addresses with url and type, most preferred first
+   * @param {CertificatePins} pins certificates to check HTTPS addresses against
+   * @param {function(object, string): void} [onProgress] called with a candidate and 'testing', 'success' or 'failed'
+   */
+  discoverWorkingUrl(candidates, pins, onProgress = () => {}) {
+    if (candidates.length === 0) {
+      return Promise.resolve(null);
+    }
+
+    const controllers = candidates.map(() => new AbortController());
+    // true or false once a probe finished, undefined while it runs
+    const outcomes = new Array(candidates.length).fill(undefined);
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const finish = (err, candidate) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        controllers.forEach(controller => controller.abort());
+        if (err) {
+          reject(err);
+        } else {
+          resolve(candidate);
+        }
+      };
+
+      const evaluate = () => {
+        for (const [index, outcome] of outcomes.entries()) {
+          // A more preferred address may still respond
+          if (outcome === undefined) {
+            return;
           }
+          if (outcome) {
+            finish(null, candidates[index]);
+            return;
+          }
+        }
+        finish(null, null);
+      };
+
+      candidates.forEach(async (candidate, index) => {
+        onProgress(candidate, 'testing');
+        let ok = false;
+        try {
+          ok = await this.probeCandidate(candidate.url, pins, { signal: controllers[index].signal });
         } catch (err) {
-          this.log(`Failed URL (${type}): ${url} - ${err.message}`);
-          session.emit('url_test', { type, status: 'failed' });
+          if (settled) {
+            return;
+          }
+          // A changed certificate must not make Homey fall back to another address
+          if (CertificatePins.isCertificateError(err)) {
+            finish(err);
+            return;
+          }
+          this.log(`Failed URL (${candidate.type}): ${candidate.url} - ${err.code || err.message}`);
         }
-        return null;
+        if (settled) {
+          return;
+        }
+        outcomes[index] = ok;
+        onProgress(candidate, ok ? 'success' : 'failed');
+        evaluate();
       });
+    });
+  }
+
+  async findWorkingUrl(cloudId, session, pins) {
+    try {
+      const result = await this.fetchApiResultFromEzconnect(cloudId);
+      if (result.errno === 2) {
+        return "invalid";
+      }
 
-      // Wait for the first successful response
-      const results = await Promise.all(urlPromises);
-      const workingUrl = results.find(url => url !== null);
+      const connectedTypes = new Set();
+      const found = await this.discoverWorkingUrl(this.getCandidateUrls(cloudId, result), pins, ({ type }, status) => {
+        // Another address of the same type may have connected already
+        if (status === 'success') {
+          connectedTypes.add(type);
+        } else if (connectedTypes.has(type)) {
+          return;
+        }
+        session.emit('url_test', { type, status });
+      });
 
-      if (!workingUrl) {
+      if (!found) {
         throw new Error("No reachable NAS address found.");
       }
 
-      return workingUrl;
+      this.log(`Working NAS URL (${found.type}): ${found.url}`);
+      return found.url;
     } catch (err) {
       this.error("Error in findWorkingUrl:", err);
       throw err;
     }
   }
 
-  async fetchNasApiResult(cloudId) {
+  async fetchNasApiResult(cloudId, preferredType = 'auto', pins, allowedTypes = ALLOWED_CONNECTION_TYPES.all) {
     const result = await this.fetchApiResultFromEzconnect(cloudId);
-    const urlsToTry = [];
-
-    // lan access
-    if (Array.isArray(result.lan_ips_http)) {
-      urlsToTry.push(...result.lan_ips_http.map(ip => `${ip}portal/resources/images/favicon.ico`));
-    }
-
-    // ddns myasustor
-    urlsToTry.push(`http://${cloudId}.myasustor.com:8000/portal/resources/images/favicon.ico`);
-
-    // public wan ip
-    if (result.wan_ip_http) {
-      urlsToTry.push(`${result.wan_ip_http}portal/resources/images/favicon.ico`);
-    }
-
-    // cloud relay (webrelay)
-    if (result.relay_url) {
-      urlsToTry.push(`${result.relay_url}portal/resources/images/favicon.ico`);
-    }
-
     if (result.errno === 2) {
       return "invalid";
     }
+    const urlsToTry = this.getCandidateUrls(cloudId, result)
+      .filter(candidate => allowedTypes.includes(candidate.type));
 
-    for (const testUrl of urlsToTry) {
-      try {
-        const response = await axios.get(testUrl, { timeout: 5000 });
-        if (response.status === 200) {
-          this.log(`Working NAS URL: ${testUrl}`);
-          return {
-            workingUrl: testUrl.replace('portal/resources/images/favicon.ico', ''),
-            result
-          };
-        }
-      } catch (err) {
-        this.log(`Failed URL: ${testUrl} - ${err.message}`);
-      }
+    // Try the connection type chosen in the device settings first
+    if (preferredType !== 'auto') {
+      urlsToTry.sort((a, b) => (b.type === preferredType) - (a.type === preferredType));
+    }
+
+    const found = await this.discoverWorkingUrl(urlsToTry, pins);
+    if (!found) {
+      throw new Error("No reachable NAS address found.");
     }
 
-    throw new Error("No reachable NAS address found.");
+    this.log(`Working NAS URL (${found.type}): ${found.url}`);
+    return {
+      workingUrl: found.url,
+      type: found.type,
+      result
+    };
   }
 
   async fetchApiResultFromEzconnect(cloudId) {
@@ -475,38 +2027,57 @@ module.exports = class NASDriver extends Homey.Driver {
     }
   }
 
+  checkUsageThreshold(args, state, direction) {
+    if (args.metric !== state.metric) {
+      return false;
+    }
+    return args.device.thresholdMonitor.check({
+      metric: state.metric,
+      direction,
+      value: state.value,
+      threshold: args.threshold,
+      minutes: args.minutes,
+      timestamp: state.timestamp
+    });
+  }
+
+  async setUsage(device, capability, value) {
+    const previous = device.getCapabilityValue(capability);
+    await device.setCapabilityValue(capability, value);
+    device.history.add(capability, value);
+
+    if (previous !== null && previous !== value) {
+      await this.homey.flow.getDeviceTriggerCard(`${capability}_changed`)
+        .trigger(device, { [capability]: value })
+        .catch(err => this.error(`Failed triggering ${capability}_changed:`, err));
+    }
+
+    const state = { metric: capability, value, timestamp: Date.now() };
+    await this.usageAboveTrigger.trigger(device, { value }, state)
+      .catch(err => this.error("Failed triggering usage_rises_above:", err));
+    await this.usageBelowTrigger.trigger(device, { value }, state)
+      .catch(err => this.error("Failed triggering usage_falls_below:", err));
+  }
+
   async updateSystemStats(device) {
     try {
-      const sid = await device.getStoreValue('sid');
-      const nasurl = await this.getWorkingUrl(device);
-      
       // Get CPU, RAM stats
-      const actUrl = `${nasurl}portal/apis/activityMonitor/act.cgi?sid=${sid}&act=list`;
-      const actRes = await axios.get(actUrl, { timeout: 7000 });
+      const data = await device.api.get('activityMonitor/act.cgi', { act: 'list' });
       
-      if (!actRes.data) {
+      if (!data) {
         this.error("No data received from activity monitor");
         return;
       }
       
-      // Check for authentication errors (256, 5000, 5001)
-      if (actRes.data.error_code === 256 || actRes.data.error_code === 5000 || actRes.data.error_code === 5001 || actRes.data.error_code === 5053) {
-        this.log("Session expired (error code: " + actRes.data.error_code + "), re-logging in");
-        await this.nasLogin(device);
-        return;
-      }
-      
-      if (!actRes.data.success) {
-        this.error("Activity monitor request failed with error code:", actRes.data.error_code);
+      if (!data.success) {
+        this.error("Activity monitor request failed with error code:", data.error_code);
         return;
       }
       
-      const data = actRes.data;
-      
       // Calculate average CPU usage
       if (data.cpus && Array.isArray(data.cpus) && data.cpus.length > 0) {
         const cpuUsage = data.cpus.reduce((sum, cpu) => sum + cpu.usage, 0) / data.cpus.length;
-        await device.setCapabilityValue('cpu_usage', Math.round(cpuUsage));
+        await this.setUsage(device, 'cpu_usage', Math.round(cpuUsage));
       } else {
         this.error("CPU data not available or invalid format");
       }
@@ -516,20 +2087,43 @@ module.exports = class NASDriver extends Homey.Driver {
         const memcached = data.memcached || 0;
         const membuffer = data.membuffer || 0;
         const ramUsagePercent = ((data.memused - memcached - membuffer) / data.memtotal) * 100;
-        await device.setCapabilityValue('ram_usage', Math.round(ramUsagePercent));
+        await this.setUsage(device, 'ram_usage', Math.round(ramUsagePercent));
       } else {
         this.error("RAM data not available or invalid format");
       }
+
+      if (device.api.lastLatency !== null) {
+        await device.setCapabilityValue('connection_latency', device.api.lastLatency).catch(this.error);
+      }
+
+      await this.updateNetworkStats(device).catch(err => {
+        this.error("Failed updating network stats", err);
+      });
+      await this.updateHardwareStats(device).catch(err => {
+        this.error("Failed updating temperature and fan speed", err);
+      });
+      await this.updateUpsStatus(device).catch(err => {
+        this.error("Failed updating UPS status", err);
+      });
+      await this.updateActiveSessions(device).catch(err => {
+        this.error("Failed updating active sessions", err);
+      });
+      await this.checkConnectionLog(device).catch(err => {
+        this.error("Failed checking connection log", err);
+      });
+      await this.checkDefenderBlocks(device).catch(err => {
+        this.error("Failed checking ADM Defender block list", err);
+      });
       
       // Get storage stats
-      const volUrl = `${nasurl}portal/apis/storageManager/volume.cgi?sid=${sid}&act=list`;
-      const volRes = await axios.get(volUrl, { timeout: 7000 });
+      const volData = await device.api.get('storageManager/volume.cgi', { act: 'list' });
       
-      if (volRes.data && volRes.data.success && volRes.data.volumes && Array.isArray(volRes.data.volumes)) {
+      if (volData && volData.success && volData.volumes && Array.isArray(volData.volumes)) {
+        device.volumes = volData.volumes;
         let totalUsed = 0;
         let totalCapacity = 0;
         
-        volRes.data.volumes.forEach(volume => {
+        volData.volumes.forEach(volume => {
           if (volume.used !== undefined && volume.capacity !== undefined) {
             totalUsed += volume.used;
             totalCapacity += volume.capacity;
@@ -538,11 +2132,53 @@ module.exports = class NASDriver extends Homey.Driver {
         
         if (totalCapacity > 0) {
           const storageUsedPercent = (totalUsed / totalCapacity) * 100;
-          await device.setCapabilityValue('storage_used', Math.round(storageUsedPercent));
+          await this.setUsage(device, 'storage_used', Math.round(storageUsedPercent));
         }
+
+        const volumeDriver = this.homey.drivers.getDriver('volume');
+        volData.volumes.forEach(volume => {
+          if (volume.capacity > 0) {
+            const metric = `volume_${volumeDriver.getVolumeId(volume).toLowerCase().replace(/[^a-z0-9]/g, '_')}`;
+            device.history.add(metric, Math.round((volume.used / volume.capacity) * 1000) / 10);
+          }
+        });
+        await this.updateStorageProjection(device);
+
+        await volumeDriver.updateVolumes(device, volData.volumes);
       } else {
         this.error("Storage data not available or invalid format");
       }
+
+      // Only fetch disk details when disk devices have been paired for this NAS
+      const diskDriver = this.homey.drivers.getDriver('disk');
+      if (diskDriver.hasDevicesFor(device)) {
+        const diskData = await device.api.get('storageManager/disk.cgi', { act: 'list' });
+        if (diskData && diskData.success && Array.isArray(diskData.disks)) {
+          await diskDriver.updateDisks(device, diskData.disks);
+        } else {
+          this.error("Disk data not available or invalid format");
+        }
+      }
+
+      // Remember the MAC addresses so the NAS can be woken up after a shutdown
+      if (!await device.getStoreValue('mac_addresses')) {
+        await this.learnMacAddresses(device);
+      }
+
+      await this.checkFirmwareUpdate(device);
+      await this.checkAppUpdates(device);
+      await this.checkSnapshots(device);
+      await this.saveHistory(device);
+
+      // Refreshes the cached app list once it expires, which reports enabled/disabled apps
+      await this.listInstalledApps(device).catch(err => {
+        this.error("Failed refreshing app list", err);
+      });
+
+      // Refreshes the cached backup jobs once they expire, which reports finished runs
+      await this.listBackupJobs(device).catch(err => {
+        this.error("Failed refreshing backup jobs", err);
+      });
     } catch (err) {
       this.error("Failed updating system stats", err);
       // If it's a network error, try to get a new URL
@@ -552,69 +2188,43 @@ module.exports = class NASDriver extends Homey.Driver {
     }
   }
 
-  async nasLogin(device){
-    try {
-      const username = await device.getStoreValue('username');
-      const password = await device.getStoreValue('password');
-      let url;
-      
-      try {
-        url = await this.getWorkingUrl(device);
-      } catch (err) {
-        // getWorkingUrl already handled the error and set unavailable
-        return false;
-      }
-      
-      const formData = new FormData();
-      formData.append('account', username);
-      formData.append('password', password);
-      formData.append('two-step-auth', 'true');
-      formData.append('stay', 'yes');
-      
-      let response;
-      try {
-        response = await axios.post(`${url}portal/apis/login.cgi?act=login`, formData);
-      } catch (err) {
-        if (err.response?.status === 403) {
-          this.log('Login blocked by ADM Defender (403)');
-          await device.setUnavailable("Homey is blocked by the ADM Defender. Remove Homey's IP from the ADM Defender blocklist.");
-          return false;
-        }
-        if (err.code === 'ECONNREFUSED' || err.code === 'ETIMEDOUT') {
-          this.log(`Login failed: ${err.code}`);
-          return false;
-        }
-        this.log('Login error:', err.message);
-        return false;
-      }
-      
-      if (response.data.error_code === 5001) {
-        this.log('Login failed: Invalid credentials');
-        return false;
-      }
-      
-      if (response.data.error_code === 5000) {
-        this.log('Login failed: Authentication error');
-        return false;
-      }
-      
-      if (!response.data.sid) {
-        this.log('Login failed: No SID received');
-        return false;
-      }
-      
-      this.log('Re-login successful, new SID:', response.data.sid);
-      await device.setStoreValue('sid', response.data.sid);
-      
-      // Set device as available if login was successful
-      if (!device.getAvailable()) {
-        await device.setAvailable();
-      }
-      
-      return true;
-    } catch (error) {
-      this.error('Unexpected login error:', error.message);
-      return false;
+  async handleLoginError(device, err) {
+    if (err.response?.status === 403) {
+      this.log('Login blocked by ADM Defender (403)');
+      await device.setUnavailable("Homey is blocked by the ADM Defender. Remove Homey's IP from the ADM Defender blocklist.");
+      return;
+    }
+    if (err.code === 'ECONNREFUSED' || err.code === 'ETIMEDOUT') {
+      this.log(`Login failed: ${err.code}`);
+      return;
+    }
+    if (err.name === 'AdmError' && err.isOtpRequired) {
+      this.log('Login failed: two-step verification code required');
+      await device.setUnavailable("ADM asks for a new two-step verification code. Repair the device to sign in again.");
+      return;
+    }
+    if (CertificatePins.isCertificateError(err)) {
+      await this.setCertificateChanged(device);
+      return;
+    }
+    if (err.name === 'AdmError' && err.isPasswordMissing) {
+      this.log('Login failed: session expired and no password is stored');
+      await device.setUnavailable("The session on the NAS expired. Repair the device to sign in again, or keep the password on Homey in the device settings.");
+      return;
+    }
+    if (err.name === 'AdmError' && err.isCredentialError) {
+      this.log('Login failed: credentials rejected');
+      await device.setUnavailable("Credentials rejected by the NAS. Update the username and password in the device settings or repair the device.");
+      return;
+    }
+    if (err.name === 'AdmError') {
+      this.log(`Login failed: ${err.message}`);
+      return;
+    }
+    // getWorkingUrl already handled unreachable NAS errors and set unavailable
+    if (['ADM_DEFENDER_BLOCK', 'NAS_UNREACHABLE', 'CERTIFICATE_CHANGED'].includes(err.message)) {
+      return;
     }
+    this.error('Unexpected login error:', err.message);
   }
-};
\ No newline at end of file
+};
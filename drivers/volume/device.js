@@ -0,0 +1,49 @@
+'use strict';
+
+const Homey = require('homey');
+
+const BYTES_PER_GB = 1000 * 1000 * 1000;
+
+module.exports = class VolumeDevice extends Homey.Device {
+
+  async onInit() {
+    this.log('Volume has been initialized');
+    this.degradedTrigger = this.homey.flow.getDeviceTriggerCard('volume_degraded');
+  }
+
+  async updateVolume(volume) {
+    if (!volume) {
+      await this.setUnavailable('Volume not found on the NAS');
+      return;
+    }
+    if (!this.getAvailable()) {
+      await this.setAvailable();
+    }
+
+    if (volume.used !== undefined && volume.capacity !== undefined) {
+      await this.setCapabilityValue('volume_used', Math.round(volume.used / BYTES_PER_GB * 10) / 10);
+      await this.setCapabilityValue('volume_free', Math.round((volume.capacity - volume.used) / BYTES_PER_GB * 10) / 10);
+      if (volume.capacity > 0) {
+        await this.setCapabilityValue('storage_used', Math.round((volume.used / volume.capacity) * 100));
+      }
+    }
+
+    const status = volume.status || 'Unknown';
+    const previousStatus = this.getCapabilityValue('raid_status');
+    await this.setCapabilityValue('raid_status', status);
+
+    if (this.isDegraded(status) && previousStatus !== null && !this.isDegraded(previousStatus)) {
+      this.log(`Volume became degraded: ${status}`);
+      await this.degradedTrigger.trigger(this, { status });
+    }
+  }
+
+  isDegraded(status) {
+    const normalized = String(status).toLowerCase();
+    return normalized.includes('degrad') || normalized.includes('crash') || normalized.includes('fail');
+  }
+
+  async onDeleted() {
+    this.log('Volume has been deleted');
+  }
+};
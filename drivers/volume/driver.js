@@ -0,0 +1,48 @@
+'use strict';
+
+const Homey = require('homey');
+
+module.exports = class VolumeDriver extends Homey.Driver {
+
+  async onInit() {
+    this.log('Volume driver init');
+  }
+
+  async onPairListDevices() {
+    const nasDriver = this.homey.drivers.getDriver('nas');
+    const devices = [];
+
+    for (const nas of nasDriver.getDevices()) {
+      const volumes = await nasDriver.listVolumes(nas);
+      volumes.forEach(volume => {
+        devices.push({
+          name: `${nas.getName()} ${volume.name}`,
+          data: {
+            nas: nasDriver.getNasId(nas),
+            volume: this.getVolumeId(volume)
+          }
+        });
+      });
+    }
+
+    return devices;
+  }
+
+  getVolumeId(volume) {
+    return String(volume.volume_id ?? volume.name);
+  }
+
+  async updateVolumes(nas, volumes) {
+    const nasId = this.homey.drivers.getDriver('nas').getNasId(nas);
+    const devices = this.getDevices().filter(device => device.getData().nas === nasId);
+
+    for (const device of devices) {
+      const volume = volumes.find(vol => this.getVolumeId(vol) === device.getData().volume);
+      try {
+        await device.updateVolume(volume);
+      } catch (err) {
+        this.error(`Failed updating volume ${device.getData().volume}:`, err);
+      }
+    }
+  }
+};
@@ -0,0 +1,262 @@
+'use strict';
+
+const axios = require('axios');
+const FormData = require('form-data');
+
+// Error codes ADM returns when the session is missing, expired or rejected
+const AUTH_ERROR_CODES = [256, 5000, 5001, 5053];
+
+const INVALID_CREDENTIALS = 5001;
+
+// Returned by login.cgi when two-step verification is enabled for the account
+const OTP_REQUIRED = 5006;
+const OTP_INVALID = 5007;
+
+// Not an ADM code: the session expired on a device that only keeps its session ID
+const PASSWORD_NOT_STORED = 'PASSWORD_NOT_STORED';
+
+const ERROR_MESSAGES = {
+  256: 'Session expired',
+  5000: 'Authentication error',
+  5001: 'Invalid credentials',
+  5006: 'A two-step verification code is required',
+  5007: 'Invalid two-step verification code',
+  5053: 'Session expired',
+  6010: 'This app is in use by another app',
+  [PASSWORD_NOT_STORED]: 'The session expired and no password is stored',
+};
+
+class AdmError extends Error {
+
+  constructor(code, message) {
+    super(message || ERROR_MESSAGES[code] || `ADM request failed with error code ${code}`);
+    this.name = 'AdmError';
+    this.code = code;
+  }
+
+  get isAuthError() {
+    return AUTH_ERROR_CODES.includes(this.code);
+  }
+
+  get isOtpRequired() {
+    return this.code === OTP_REQUIRED || this.code === OTP_INVALID;
+  }
+
+  get isCredentialError() {
+    return this.code === INVALID_CREDENTIALS;
+  }
+
+  get isPasswordMissing() {
+    return this.code === PASSWORD_NOT_STORED;
+  }
+}
+
+/**
+ * Talks to the ADM web API of a single NAS. The client reads the session ID
+ * and credentials from the device store, logs in again when ADM reports an
+ * expired session and retries the original request once.
+ */
+class AdmClient {
+
+  /**
+   * @param {import('homey').Device} device NAS device holding the session in its store
+   * @param {object} options
+   * @param {function(): Promise<string>} options.getBaseUrl resolves the URL the NAS is currently reachable on
+   * @param {function(): Promise<?string>} options.getPassword resolves the decrypted password, or null when none is stored
+   * @param {function(string): Promise<?import('https').Agent>} [options.getHttpsAgent] resolves the agent that checks the certificate of a URL
+   * @param {function(Error): Promise<void>} [options.onLoginFailed] called when logging in again after an expired session fails
+   */
+  constructor(device, { getBaseUrl, getPassword, getHttpsAgent = async () => undefined, onLoginFailed }) {
+    this.device = device;
+    this.getBaseUrl = getBaseUrl;
+    this.getPassword = getPassword;
+    this.getHttpsAgent = getHttpsAgent;
+    this.onLoginFailed = onLoginFailed;
+    this.loginPromise = null;
+    this.blockingLoginError = null;
+    this.lastSuccessAt = 0;
+    this.lastLatency = null;
+  }
+
+  static encodeForm(fields = {}) {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => {
+      formData.append(key, value);
+    });
+    return formData;
+  }
+
+  /**
+   * Strips the request from an axios error. Its URL carries the session ID
+   * and a login form the password, neither of which may end up in the logs.
+   */
+  static redact(err) {
+    if (err && err.isAxiosError) {
+      delete err.config;
+      delete err.request;
+      if (err.response) {
+        delete err.response.config;
+        delete err.response.request;
+      }
+    }
+    return err;
+  }
+
+  /**
+   * Logs in without an existing device, as done during pairing.
+   * Returns the raw login response so callers can inspect the error code.
+   *
+   * When a one-time code is passed, ADM is asked to trust Homey; the returned
+   * trust_token lets later logins skip two-step verification.
+   */
+  static async authenticate(baseUrl, { username, password, otp, trustToken, httpsAgent }) {
+    const fields = {
+      'account': username,
+      'password': password,
+      'two-step-auth': 'true',
+      'stay': 'yes',
+    };
+    if (otp) {
+      fields.otp_code = otp;
+      fields.trust_device = 'yes';
+    }
+    if (trustToken) {
+      fields.trust_token = trustToken;
+    }
+    const formData = AdmClient.encodeForm(fields);
+    try {
+      const response = await axios.post(`${baseUrl}portal/apis/login.cgi?act=login`, formData, { timeout: 7000, httpsAgent });
+      return response.data;
+    } catch (err) {
+      throw AdmClient.redact(err);
+    }
+  }
+
+  /**
+   * Calls the API with a session ID that doesn't belong to a device yet, as
+   * done during pairing. Returns the raw response without checking for errors.
+   */
+  static async send(baseUrl, sid, path, { params = {}, form, timeout = 7000, httpsAgent } = {}) {
+    const query = new URLSearchParams({ sid, ...params });
+    const url = `${baseUrl}portal/apis/${path}?${query}`;
+    try {
+      const res = form
+        ? await axios.post(url, AdmClient.encodeForm(form), { timeout, httpsAgent })
+        : await axios.get(url, { timeout, httpsAgent });
+      return res.data;
+    } catch (err) {
+      throw AdmClient.redact(err);
+    }
+  }
+
+  async get(path, params = {}, options = {}) {
+    return this.request(path, { ...options, params });
+  }
+
+  async post(path, params = {}, form = {}, options = {}) {
+    return this.request(path, { ...options, params, form });
+  }
+
+  async request(path, { params = {}, form, timeout = 7000, retry = true } = {}) {
+    const baseUrl = await this.getBaseUrl();
+    const sid = await this.device.getStoreValue('sid');
+
+    let data;
+    let startedAt;
+    try {
+      const httpsAgent = await this.getHttpsAgent(baseUrl);
+      startedAt = Date.now();
+      data = await AdmClient.send(baseUrl, sid, path, { params, form, timeout, httpsAgent });
+    } catch (err) {
+      this.lastSuccessAt = 0;
+      throw err;
+    }
+    this.lastSuccessAt = Date.now();
+    this.lastLatency = this.lastSuccessAt - startedAt;
+
+    if (data && data.success !== true && data.error_code) {
+      const error = new AdmError(data.error_code);
+      if (error.isAuthError && retry) {
+        this.device.log(`Session expired (error code: ${data.error_code}), re-logging in`);
+        try {
+          await this.login();
+        } catch (err) {
+          if (this.onLoginFailed) {
+            await this.onLoginFailed(err);
+          }
+          throw err;
+        }
+        return this.request(path, { params, form, timeout, retry: false });
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Logs in with the stored credentials and stores the new session ID.
+   * Concurrent callers share the same login attempt.
+   */
+  async login() {
+    if (!this.loginPromise) {
+      this.loginPromise = this._login().finally(() => {
+        this.loginPromise = null;
+      });
+    }
+    return this.loginPromise;
+  }
+
+  /**
+   * Allows logging in again after a login failed in a way retrying can't fix.
+   */
+  resetLoginError() {
+    this.blockingLoginError = null;
+  }
+
+  async _login() {
+    // Retrying with the same credentials or without a new one-time code only
+    // adds failed logins for ADM Defender to count
+    if (this.blockingLoginError) {
+      throw this.blockingLoginError;
+    }
+
+    const password = await this.getPassword();
+    if (!password) {
+      this.blockingLoginError = new AdmError(PASSWORD_NOT_STORED);
+      throw this.blockingLoginError;
+    }
+
+    const baseUrl = await this.getBaseUrl();
+    const data = await AdmClient.authenticate(baseUrl, {
+      username: await this.device.getStoreValue('username'),
+      password,
+      trustToken: await this.device.getStoreValue('trust_token'),
+      httpsAgent: await this.getHttpsAgent(baseUrl),
+    });
+
+    if (data.error_code) {
+      const error = new AdmError(data.error_code);
+      if (error.isOtpRequired || error.isCredentialError) {
+        this.blockingLoginError = error;
+      }
+      throw error;
+    }
+    if (!data.sid) {
+      throw new AdmError(null, 'No SID received');
+    }
+
+    await this.device.setStoreValue('sid', data.sid);
+    if (data.trust_token) {
+      await this.device.setStoreValue('trust_token', data.trust_token);
+    }
+    return data.sid;
+  }
+}
+
+module.exports = {
+  AdmClient,
+  AdmError,
+  OTP_REQUIRED,
+  OTP_INVALID,
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const CachedList = require('./CachedList');
+
+const PAGE_SIZE = 50;
+// No NAS has this many apps; stops paging when ADM ignores the page parameters
+const MAX_PAGES = 20;
+const DEFAULT_TTL = 60 * 1000;
+
+/**
+ * The apps installed through App Central on one NAS. Pages through the
+ * complete list and reports apps that were enabled or disabled since the
+ * previous fetch.
+ */
+module.exports = class AppInventory {
+
+  /**
+   * @param {import('./AdmClient').AdmClient} api client of the NAS
+   * @param {object} [options]
+   * @param {number} [options.ttl] how long a fetched list is reused, in milliseconds
+   * @param {function(object, boolean): void} [options.onStateChange] called with the app and its new enabled state
+   */
+  constructor(api, { ttl = DEFAULT_TTL, onStateChange } = {}) {
+    this.api = api;
+    this.onStateChange = onStateChange;
+    this.list = new CachedList(() => this.refresh(), ttl);
+  }
+
+  async getApps(options) {
+    return this.list.get(options);
+  }
+
+  async findApp(packageName) {
+    const apps = await this.getApps();
+    return apps.find(app => app.package === packageName);
+  }
+
+  invalidate() {
+    this.list.invalidate();
+  }
+
+  async refresh() {
+    const apps = await this.fetchAll();
+    const previous = this.list.items;
+
+    if (previous && this.onStateChange) {
+      apps.forEach(app => {
+        const before = previous.find(item => item.package === app.package);
+        if (before && before.enabled !== app.enabled) {
+          this.onStateChange(app, app.enabled === true);
+        }
+      });
+    }
+
+    return apps;
+  }
+
+  async fetchAll() {
+    const apps = [];
+    let firstOfPage = null;
+
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const data = await this.api.post('appCentral/appcentral.cgi', { act: 'list-installed' }, {
+        includeBeta: 1,
+        page,
+        limit: PAGE_SIZE,
+        start: (page - 1) * PAGE_SIZE,
+        category: -1,
+        keyword: '',
+        sort: 'name'
+      });
+      const items = Array.isArray(data.items) ? data.items : [];
+      // ADM returned the same page again
+      if (items.length > 0 && items[0].package === firstOfPage) {
+        break;
+      }
+      firstOfPage = items.length > 0 ? items[0].package : null;
+      apps.push(...items);
+
+      const total = Number(data.total);
+      if (items.length < PAGE_SIZE || (total > 0 && apps.length >= total)) {
+        break;
+      }
+    }
+
+    return apps;
+  }
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+const CachedList = require('./CachedList');
+
+const DEFAULT_TTL = 60 * 1000;
+
+/**
+ * The backup jobs on one NAS: rsync, cloud, external and snapshot jobs.
+ * Reports jobs that finished a run since the previous fetch.
+ */
+module.exports = class BackupJobs {
+
+  /**
+   * @param {import('./AdmClient').AdmClient} api client of the NAS
+   * @param {object} [options]
+   * @param {number} [options.ttl] how long a fetched list is reused, in milliseconds
+   * @param {function(object): void} [options.onFinished] called with a job that completed a run
+   */
+  constructor(api, { ttl = DEFAULT_TTL, onFinished } = {}) {
+    this.api = api;
+    this.onFinished = onFinished;
+    this.list = new CachedList(() => this.refresh(), ttl);
+  }
+
+  static isRunning(job) {
+    return job.status === 'running';
+  }
+
+  static isFailed(job) {
+    return job.last_result !== 'success';
+  }
+
+  /**
+   * Duration of the last run in seconds, or 0 when ADM didn't report it.
+   */
+  static getDuration(job) {
+    const start = Number(job.last_start);
+    const end = Number(job.last_end);
+    return start > 0 && end >= start ? end - start : 0;
+  }
+
+  async getJobs(options) {
+    return this.list.get(options);
+  }
+
+  async findJob(id) {
+    const jobs = await this.getJobs();
+    return jobs.find(job => String(job.id) === String(id));
+  }
+
+  invalidate() {
+    this.list.invalidate();
+  }
+
+  async refresh() {
+    const data = await this.api.get('backup/backup.cgi', { act: 'list' });
+    const jobs = Array.isArray(data.jobs) ? data.jobs : [];
+    const previous = this.list.items;
+
+    // A changed end time also catches runs that started and finished between two fetches
+    if (previous && this.onFinished) {
+      jobs.forEach(job => {
+        const before = previous.find(item => item.id === job.id);
+        if (before && job.last_end && before.last_end !== job.last_end && !BackupJobs.isRunning(job)) {
+          this.onFinished(job);
+        }
+      });
+    }
+
+    return jobs;
+  }
+};
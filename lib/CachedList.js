@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * A list fetched from the NAS that is reused until it is older than its
+ * time to live. Callers asking while a fetch is running wait for that same
+ * fetch instead of starting another one.
+ */
+module.exports = class CachedList {
+
+  /**
+   * @param {function(): Promise<object[]>} fetch loads the list from the NAS
+   * @param {number} ttl how long a fetched list is reused, in milliseconds
+   */
+  constructor(fetch, ttl) {
+    this.fetch = fetch;
+    this.ttl = ttl;
+    this.items = null;
+    this.fetchedAt = 0;
+    this.pending = null;
+  }
+
+  async get({ force = false } = {}) {
+    if (!force && this.items && Date.now() - this.fetchedAt < this.ttl) {
+      return this.items;
+    }
+    if (!this.pending) {
+      this.pending = this.load().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  invalidate() {
+    this.fetchedAt = 0;
+  }
+
+  async load() {
+    const items = await this.fetch();
+    this.items = items;
+    this.fetchedAt = Date.now();
+    return items;
+  }
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+const https = require('https');
+const tls = require('tls');
+
+// Errors Node reports when a certificate doesn't match the pinned one or can't be verified
+const CERTIFICATE_ERROR_CODES = [
+  'CERTIFICATE_CHANGED',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'CERT_SIGNATURE_FAILURE',
+  'CERT_HAS_EXPIRED',
+  'ERR_TLS_CERT_ALTNAME_INVALID',
+];
+
+/**
+ * Trust-on-first-use pinning of the HTTPS certificates of one NAS. ADM ships
+ * with a self-signed certificate, so the first certificate seen on an address
+ * is remembered and later connections are only accepted with that same
+ * certificate. Certificates signed by a public authority are verified as usual.
+ */
+module.exports = class CertificatePins {
+
+  /**
+   * @param {object} [pins] pins by host and port, as returned by toJSON
+   * @param {function(object): Promise<void>} [onChange] called with all pins after a new one was added
+   */
+  constructor(pins = {}, onChange) {
+    this.pins = { ...pins };
+    this.onChange = onChange;
+    this.agents = new Map();
+  }
+
+  static getKey(url) {
+    const { hostname, port } = new URL(url);
+    return `${hostname}:${port || 443}`;
+  }
+
+  static isCertificateError(err) {
+    return Boolean(err) && CERTIFICATE_ERROR_CODES.includes(err.code);
+  }
+
+  static toPem(raw) {
+    const lines = raw.toString('base64').match(/.{1,64}/g);
+    return `-----BEGIN CERTIFICATE-----\n${lines.join('\n')}\n-----END CERTIFICATE-----\n`;
+  }
+
+  /**
+   * Reads the certificate an HTTPS address presents, without sending a request.
+   */
+  static fetchCertificate(url, timeout = 5000) {
+    const { hostname, port } = new URL(url);
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        host: hostname,
+        port: Number(port) || 443,
+        servername: hostname.match(/^[\d.]+$/) ? undefined : hostname,
+        rejectUnauthorized: false,
+        timeout
+      }, () => {
+        const cert = socket.getPeerCertificate();
+        socket.end();
+        resolve({
+          authorized: socket.authorized,
+          fingerprint: cert.fingerprint256,
+          pem: CertificatePins.toPem(cert.raw)
+        });
+      });
+      socket.on('timeout', () => {
+        const err = new Error(`Timeout reading the certificate of ${hostname}`);
+        err.code = 'ETIMEDOUT';
+        socket.destroy(err);
+      });
+      socket.on('error', reject);
+    });
+  }
+
+  toJSON() {
+    return this.pins;
+  }
+
+  /**
+   * Returns the agent to connect to an HTTPS URL with, pinning its certificate
+   * on first use. Returns undefined for plain HTTP and for certificates signed
+   * by a public authority.
+   */
+  async getAgent(url) {
+    if (!url.startsWith('https:')) {
+      return undefined;
+    }
+
+    const key = CertificatePins.getKey(url);
+    if (!this.pins[key]) {
+      const cert = await CertificatePins.fetchCertificate(url);
+      this.pins[key] = cert.authorized
+        ? { trusted: true }
+        : { fingerprint: cert.fingerprint, pem: cert.pem };
+      if (this.onChange) {
+        await this.onChange(this.pins);
+      }
+    }
+
+    const pin = this.pins[key];
+    if (pin.trusted) {
+      return undefined;
+    }
+    if (!this.agents.has(key)) {
+      this.agents.set(key, new https.Agent({
+        // The self-signed certificate is its own authority
+        ca: pin.pem,
+        // ADM certificates are issued for the NAS name, not for the address Homey connects to
+        checkServerIdentity: (hostname, cert) => {
+          if (cert.fingerprint256 === pin.fingerprint) {
+            return undefined;
+          }
+          const err = new Error(`The certificate of ${hostname} changed`);
+          err.code = 'CERTIFICATE_CHANGED';
+          return err;
+        }
+      }));
+    }
+    return this.agents.get(key);
+  }
+};
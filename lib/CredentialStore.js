@@ -0,0 +1,52 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const KEY_SETTING = 'credential_key';
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Encrypts NAS passwords before they go into a device store. The key is
+ * generated once per installation and kept in the app settings, so a copy
+ * of the device store alone doesn't reveal the password.
+ */
+module.exports = class CredentialStore {
+
+  /**
+   * @param {import('homey').ManagerSettings} settings app settings holding the key
+   */
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  getKey() {
+    let key = this.settings.get(KEY_SETTING);
+    if (!key) {
+      key = crypto.randomBytes(32).toString('base64');
+      this.settings.set(KEY_SETTING, key);
+    }
+    return Buffer.from(key, 'base64');
+  }
+
+  /**
+   * @param {string} plaintext
+   * @returns {string} IV, authentication tag and ciphertext, base64 encoded and separated by dots
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+  }
+
+  /**
+   * @param {string} value as returned by encrypt
+   * @returns {string} the plaintext; throws when the value was tampered with or the key changed
+   */
+  decrypt(value) {
+    const [iv, tag, ciphertext] = value.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  }
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How long each resolution is kept
+const RESOLUTIONS = {
+  minute: { size: MINUTE, retention: 24 * HOUR },
+  hour: { size: HOUR, retention: 30 * 24 * HOUR },
+};
+
+/**
+ * Downsampled history of the metrics of one NAS: an average per minute for
+ * the last day and an average per hour for the last 30 days. Points are kept
+ * as [bucket start, average, number of samples] so averaging can continue
+ * after the history was saved and loaded again.
+ */
+module.exports = class MetricHistory {
+
+  /**
+   * @param {object} [data] history as returned by toJSON
+   */
+  constructor(data = {}) {
+    this.series = {};
+    Object.entries(data).forEach(([metric, saved]) => {
+      this.series[metric] = {};
+      Object.entries(RESOLUTIONS).forEach(([resolution, { size }]) => {
+        this.series[metric][resolution] = saved[resolution] ? MetricHistory.unpack(saved[resolution], size) : [];
+      });
+    });
+  }
+
+  /**
+   * Packs a series into its start time and one value per bucket, null for
+   * buckets without samples. Only the last bucket can still change, so only
+   * its number of samples is kept.
+   */
+  static pack(points, size) {
+    const start = points[0][0];
+    const values = new Array((points[points.length - 1][0] - start) / size + 1).fill(null);
+    points.forEach(([bucket, value]) => {
+      values[(bucket - start) / size] = value;
+    });
+    return { start, values, count: points[points.length - 1][2] };
+  }
+
+  static unpack({ start, values = [], count = 1 }, size) {
+    const points = [];
+    values.forEach((value, index) => {
+      if (value !== null) {
+        points.push([start + index * size, value, index === values.length - 1 ? count : 1]);
+      }
+    });
+    return points;
+  }
+
+  toJSON() {
+    const data = {};
+    Object.entries(this.series).forEach(([metric, series]) => {
+      data[metric] = {};
+      Object.entries(RESOLUTIONS).forEach(([resolution, { size }]) => {
+        if (series[resolution].length > 0) {
+          data[metric][resolution] = MetricHistory.pack(series[resolution], size);
+        }
+      });
+    });
+    return data;
+  }
+
+  getMetrics() {
+    return Object.keys(this.series).sort();
+  }
+
+  add(metric, value, timestamp = Date.now()) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return;
+    }
+    if (!this.series[metric]) {
+      this.series[metric] = { minute: [], hour: [] };
+    }
+
+    for (const [resolution, { size, retention }] of Object.entries(RESOLUTIONS)) {
+      const points = this.series[metric][resolution];
+      const bucket = Math.floor(timestamp / size) * size;
+      const last = points[points.length - 1];
+
+      if (last && last[0] === bucket) {
+        last[2] += 1;
+        last[1] = Math.round((last[1] + (value - last[1]) / last[2]) * 100) / 100;
+      } else {
+        points.push([bucket, value, 1]);
+      }
+
+      while (points.length > 0 && points[0][0] < timestamp - retention) {
+        points.shift();
+      }
+    }
+  }
+
+  /**
+   * @param {string} metric
+   * @param {'minute'|'hour'} resolution
+   * @returns {{time: number, value: number}[]}
+   */
+  get(metric, resolution) {
+    const points = this.series[metric] ? this.series[metric][resolution] : [];
+    return points.map(([time, value]) => ({ time, value }));
+  }
+
+  /**
+   * Change per hour of a metric over its hourly history, by least squares.
+   * Returns null with fewer than the given number of hours.
+   */
+  getHourlyTrend(metric, minHours = 24) {
+    const points = this.get(metric, 'hour');
+    if (points.length < minHours) {
+      return null;
+    }
+
+    const xs = points.map(point => point.time / HOUR);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach((point, index) => {
+      covariance += (xs[index] - meanX) * (point.value - meanY);
+      variance += (xs[index] - meanX) ** 2;
+    });
+    return variance > 0 ? covariance / variance : null;
+  }
+
+  toJSONExport(resolution) {
+    const metrics = {};
+    this.getMetrics().forEach(metric => {
+      metrics[metric] = this.get(metric, resolution).map(({ time, value }) => ({
+        time: new Date(time).toISOString(),
+        value
+      }));
+    });
+    return { resolution, metrics };
+  }
+
+  toCSV(resolution) {
+    const metrics = this.getMetrics();
+    const rows = new Map();
+    metrics.forEach((metric, column) => {
+      this.get(metric, resolution).forEach(({ time, value }) => {
+        if (!rows.has(time)) {
+          rows.set(time, new Array(metrics.length).fill(''));
+        }
+        rows.get(time)[column] = value;
+      });
+    });
+
+    const lines = [['time', ...metrics].join(',')];
+    [...rows.keys()].sort((a, b) => a - b).forEach(time => {
+      lines.push([new Date(time).toISOString(), ...rows.get(time)].join(','));
+    });
+    return lines.join('\n');
+  }
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Turns the byte counters ADM reports per network interface into throughput
+ * in Mbit/s and remembers the link speed of every interface, so a link that
+ * renegotiates to a lower speed can be detected between polls.
+ */
+module.exports = class NetworkMonitor {
+
+  constructor() {
+    this.interfaces = new Map();
+  }
+
+  /**
+   * @param {object[]} netif interfaces from sysinfo.cgi?act=net
+   * @param {number} timestamp time of the poll that produced the counters
+   * @returns {object[]} per interface: name, connected, ip, speed, previousSpeed, rx and tx;
+   *   previousSpeed is the speed of the last poll the link was up, rx and tx are null until
+   *   two polls have been seen
+   */
+  update(netif, timestamp) {
+    return netif.map(iface => {
+      const previous = this.interfaces.get(iface.name);
+      const rxBytes = Number(iface.rx_bytes);
+      const txBytes = Number(iface.tx_bytes);
+      const connected = iface.status === true;
+      const speed = Number(iface.speed) || 0;
+      // A renegotiation can briefly take the link down; compare with the speed from before that
+      const previousSpeed = previous ? previous.connectedSpeed : null;
+      const state = {
+        name: iface.name,
+        connected,
+        ip: iface.ip || null,
+        speed,
+        previousSpeed,
+        connectedSpeed: connected && speed > 0 ? speed : previousSpeed,
+        rx: null,
+        tx: null,
+        rxBytes,
+        txBytes,
+        timestamp
+      };
+
+      if (previous) {
+        const seconds = (timestamp - previous.timestamp) / 1000;
+        state.rx = NetworkMonitor.rate(previous.rxBytes, rxBytes, seconds);
+        state.tx = NetworkMonitor.rate(previous.txBytes, txBytes, seconds);
+      }
+
+      this.interfaces.set(iface.name, state);
+      return state;
+    });
+  }
+
+  /**
+   * Latest state of an interface, or undefined when it hasn't been seen yet.
+   */
+  get(name) {
+    return this.interfaces.get(name);
+  }
+
+  static rate(before, after, seconds) {
+    // Counters reset when the NAS reboots or the interface goes down
+    if (!Number.isFinite(before) || !Number.isFinite(after) || after < before || seconds <= 0) {
+      return null;
+    }
+    return Math.round(((after - before) * 8) / 1000000 / seconds * 100) / 100;
+  }
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+// Percentage points a value has to move back past the threshold before a
+// "for N minutes" trigger is allowed to fire again.
+const HYSTERESIS = 5;
+
+/**
+ * Keeps track of how long a metric has been above or below a threshold for
+ * every distinct combination of Flow card arguments, so a trigger fires once
+ * the condition has held for the requested time and not on every poll.
+ */
+module.exports = class ThresholdMonitor {
+
+  constructor() {
+    this.states = new Map();
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} options.metric capability the value belongs to
+   * @param {'above'|'below'} options.direction
+   * @param {number} options.value current value
+   * @param {number} options.threshold threshold from the Flow card
+   * @param {number} options.minutes how long the value has to stay past the threshold
+   * @param {number} options.timestamp time of the poll that produced the value
+   * @returns {boolean} whether the trigger should fire
+   */
+  check({ metric, direction, value, threshold, minutes, timestamp }) {
+    const key = `${metric}:${direction}:${threshold}:${minutes}`;
+    let state = this.states.get(key);
+    if (!state) {
+      state = { since: null, armed: true, firedAt: null };
+      this.states.set(key, state);
+    }
+
+    // Several flows can share the same arguments; let all of them run for the same poll
+    if (state.firedAt === timestamp) {
+      return true;
+    }
+
+    const beyond = direction === 'above' ? value > threshold : value < threshold;
+    if (!beyond) {
+      state.since = null;
+      const recovered = direction === 'above'
+        ? value <= threshold - HYSTERESIS
+        : value >= threshold + HYSTERESIS;
+      if (recovered) {
+        state.armed = true;
+      }
+      return false;
+    }
+
+    if (state.since === null) {
+      state.since = timestamp;
+    }
+
+    if (state.armed && timestamp - state.since >= minutes * 60000) {
+      state.armed = false;
+      state.firedAt = timestamp;
+      return true;
+    }
+
+    return false;
+  }
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+/**
+ * Run listener for the "temperature rose above" trigger cards. The trigger
+ * state holds the previous and the new temperature, so a flow only runs when
+ * the temperature crosses its threshold and not on every poll above it.
+ */
+function temperatureRoseAbove(args, state) {
+  return state.previous <= args.temperature && state.temperature > args.temperature;
+}
+
+module.exports = { temperatureRoseAbove };
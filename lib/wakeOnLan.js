@@ -0,0 +1,49 @@
+'use strict';
+
+const dgram = require('dgram');
+
+/**
+ * Builds a Wake-on-LAN magic packet: 6 bytes of 0xFF followed by the MAC
+ * address repeated 16 times.
+ */
+function createMagicPacket(mac) {
+  const hex = String(mac).replace(/[^0-9a-f]/gi, '');
+  if (hex.length !== 12) {
+    throw new Error(`Invalid MAC address: ${mac}`);
+  }
+
+  const macBytes = Buffer.from(hex, 'hex');
+  const packet = Buffer.alloc(6 + 16 * 6, 0xff);
+  for (let i = 0; i < 16; i++) {
+    macBytes.copy(packet, 6 + i * 6);
+  }
+  return packet;
+}
+
+/**
+ * Broadcasts a magic packet for the given MAC address on the local network.
+ */
+function sendMagicPacket(mac, { address = '255.255.255.255', port = 9 } = {}) {
+  const packet = createMagicPacket(mac);
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    socket.once('error', err => {
+      socket.close();
+      reject(err);
+    });
+    socket.bind(() => {
+      socket.setBroadcast(true);
+      socket.send(packet, 0, packet.length, port, address, err => {
+        socket.close();
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  });
+}
+
+module.exports = { createMagicPacket, sendMagicPacket };